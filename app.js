@@ -1,232 +1,488 @@
 import { Store } from './store.js';
+import { Profiles, PROFILE_COLORS } from './profiles.js';
+import { html, setHtml } from './html.js';
+import { MIN_PASSPHRASE_LENGTH } from './vault.js';
+import * as Engine from './engine.js';
+import {
+    DEFAULT_ACTIVE_DAYS, DEFAULT_TARGET_STRATEGY,
+    addDays, mergeExclusions, removeExclusion, isDateInExclusions, countCalculationDays,
+    pushPlanHistory, addDebt, repayDebt
+} from './engine.js';
 
 // --- State & Constants ---
-let state = Store.load();
+let state = null; // Loaded asynchronously in init()
 let currentPlanId = null;
 let globalChart = null;
 let planChart = null;
 let planHistoryChart = null;
-
-// Initialize missing state props
-state.history = state.history || [];
-state.plans = state.plans || [];
-state.totalSavings = state.totalSavings || 0;
+let planCategoryChart = null;
+let allocationChart = null;
+let simChart = null;
+let simContext = null; // { source: 'new' | 'plan', exclusions }
+let pendingImport = null;
+let pendingCompletions = [];
+let reminderTimer = null;
+let undoStack = [];
+let redoStack = [];
+let undoTimer = null;
+let moneyFormatter = null;
+let historyRange = '1M';
+
+const DEFAULT_CATEGORIES = [
+    { id: 'food', name: 'Food' },
+    { id: 'transport', name: 'Transport' },
+    { id: 'supplies', name: 'School Supplies' },
+    { id: 'load', name: 'Load' }
+];
+const OTHER_CATEGORY = { id: 'other', name: 'Other' };
+const CATEGORY_COLORS = ['#ffb300', '#00bcd4', '#7e57c2', '#ec407a', '#66bb6a', '#ff7043', '#8d6e63', '#90a4ae'];
 
 // --- Helper Functions ---
+function formatMoney(amount) {
+    const { code, symbol, decimals } = state.settings.currency;
+    if (!moneyFormatter) {
+        moneyFormatter = new Intl.NumberFormat(undefined, {
+            style: 'currency',
+            currency: code,
+            minimumFractionDigits: decimals,
+            maximumFractionDigits: decimals
+        });
+    }
+    // Swap in the user's symbol so "PHP" or "₱" shows the way they prefer
+    return moneyFormatter.formatToParts(amount)
+        .map(part => part.type === 'currency' ? symbol : part.value)
+        .join('');
+}
+
+// Name of one unit of the configured currency for sentences, e.g. "US dollar"
+function getCurrencyUnitName() {
+    const parts = new Intl.NumberFormat('en', {
+        style: 'currency',
+        currency: state.settings.currency.code,
+        currencyDisplay: 'name',
+        minimumFractionDigits: 0,
+        maximumFractionDigits: 0
+    }).formatToParts(1);
+    const unit = parts.find(part => part.type === 'currency');
+    return unit ? unit.value : state.settings.currency.symbol;
+}
+
+function applyCurrencyLabels() {
+    const { symbol } = state.settings.currency;
+    document.querySelectorAll('.currency-symbol').forEach(el => { el.innerText = symbol; });
+    document.querySelectorAll('[data-placeholder]').forEach(el => {
+        el.placeholder = el.dataset.placeholder.replace('{symbol}', symbol);
+    });
+}
+
+function createId() {
+    return `${Date.now()}-${Math.random().toString(36).slice(2, 7)}`;
+}
+
+function getDayTransactions(plan, dateStr = state.lastLoginDate) {
+    return Engine.getDayTransactions(state.transactions, plan, dateStr);
+}
+
+function getDailySpent(plan, dateStr = state.lastLoginDate) {
+    return Engine.getDailySpent(state.transactions, plan, dateStr);
+}
+
+function getCategories() {
+    return [...DEFAULT_CATEGORIES, ...state.customCategories, OTHER_CATEGORY];
+}
+
+function getCategoryName(id) {
+    return (getCategories().find(c => c.id === id) || OTHER_CATEGORY).name;
+}
+
+function getCategorySpent(plan, category, fromDate, toDate) {
+    return state.transactions
+        .filter(t => t.planId === plan.id && t.category === category && t.date >= fromDate && t.date <= toDate)
+        .reduce((sum, t) => sum + t.amount, 0);
+}
+
+// Returns a warning for each per-category cap this purchase would break
+function getBudgetWarnings(plan, category, amount) {
+    const budget = plan.categoryBudgets[category];
+    if (!budget) return [];
+
+    const today = state.lastLoginDate;
+    const weekStart = getBucketKey(today, 'week');
+    const name = getCategoryName(category);
+    const warnings = [];
+
+    const daily = getCategorySpent(plan, category, today, today) + amount;
+    if (budget.daily && daily > budget.daily) {
+        warnings.push(`${name} today: ${formatMoney(daily)} of ${formatMoney(budget.daily)}`);
+    }
+    const weekly = getCategorySpent(plan, category, weekStart, today) + amount;
+    if (budget.weekly && weekly > budget.weekly) {
+        warnings.push(`${name} this week: ${formatMoney(weekly)} of ${formatMoney(budget.weekly)}`);
+    }
+    return warnings;
+}
+
+function recordPurchase(plan, label, amount, source, category = OTHER_CATEGORY.id) {
+    const remaining = plan.dailyAllowance - getDailySpent(plan);
+    // Allow overspending if they really want to, which will affect savings
+    if (amount > remaining) {
+        if (!confirm('This exceeds your remaining allowance. Continue?')) return false;
+    }
+    const warnings = getBudgetWarnings(plan, category, amount);
+    if (warnings.length > 0) {
+        if (!confirm(`This goes over your category budget:\n${warnings.join('\n')}\nContinue?`)) return false;
+    }
+    state.transactions.push({
+        id: createId(),
+        planId: plan.id,
+        date: state.lastLoginDate,
+        timestamp: Date.now(),
+        label,
+        amount,
+        source,
+        category
+    });
+    return true;
+}
+
 function refreshPlanTarget(plan) {
     if (!plan.dayActive) return;
     // If not in manual mode, always recalculate target based on current logic/rules
     if (!plan.manualSavingsMode) {
         plan.dailySavingsGoal = calculateRequiredDaily(plan, plan.dailyAllowance);
+        plan.dailyDebtShare = Math.min(plan.dailySavingsGoal, calculateDebtShare(plan, plan.dailyAllowance));
     }
 }
 
 function getTodayStr() {
-    // Strictly uses Philippines Time (Asia/Manila)
-    return new Date().toLocaleDateString('en-CA', { timeZone: 'Asia/Manila' });
+    // Uses the configured timezone (Asia/Manila unless changed in Settings)
+    return Engine.zonedDateStr(state.settings.timeZone);
 }
 
-function getManilaDate() {
-    // Get current date string in Manila and create a local Date at midnight
+function getTodayDate() {
+    // Get current date string in the configured zone and create a local Date at midnight
     const str = getTodayStr();
     return new Date(str + 'T00:00:00');
 }
 
-function mergeExclusions(exclusions) {
-    if (!exclusions || exclusions.length === 0) return [];
-    
-    // Sort by start date
-    const sorted = [...exclusions].sort((a, b) => a.start.localeCompare(b.start));
-    const merged = [];
-    
-    let current = sorted[0];
-    
-    for (let i = 1; i < sorted.length; i++) {
-        const next = sorted[i];
-        // If overlap or contiguous (next start <= current end)
-        if (next.start <= current.end) {
-            // Merge: take the max end date
-            if (next.end > current.end) {
-                current.end = next.end;
-            }
-        } else {
-            merged.push(current);
-            current = next;
-        }
-    }
-    merged.push(current);
-    return merged;
+// --- Savings Engine ---
+// engine.js never reads the clock or state; these bind it to today and the school breaks
+function getCalendarExclusions(plan) {
+    return Engine.getCalendarExclusions(plan, getTodayDate(), state.schoolBreaks);
 }
 
-function isDateInExclusions(date, exclusions) {
-    const dStr = date.toLocaleDateString('en-CA');
-    return exclusions.some(ex => dStr >= ex.start && dStr <= ex.end);
+function getPlanExclusions(plan) {
+    return Engine.getPlanExclusions(plan, getTodayDate(), state.schoolBreaks);
 }
 
-function countCalculationDays(start, end, exclusions = []) {
-    // Counts only Monday to Friday (Mon-Fri)
-    // AND skips exclusion periods
-    let count = 0;
-    // Ensure we work with clear midnight dates
-    let cur = new Date(start);
-    if (typeof start === 'string') cur = new Date(start + 'T00:00:00');
-    
-    let last = new Date(end);
-    if (typeof end === 'string') last = new Date(end + 'T00:00:00');
-    
-    cur.setHours(0, 0, 0, 0);
-    last.setHours(0, 0, 0, 0);
+function isCalculationDay(dateStr, plan) {
+    return Engine.isCalculationDay(dateStr, plan, state.schoolBreaks);
+}
 
-    const mergedEx = mergeExclusions(exclusions);
+function calculateRequiredDaily(plan, allowance, today = getTodayDate()) {
+    return Engine.calculateRequiredDaily(plan, allowance, today, state.schoolBreaks);
+}
 
-    while (cur <= last) {
-        const dayNum = cur.getDay(); // 0 is Sun, 6 is Sat
-        const isWeekend = (dayNum === 0 || dayNum === 6);
-        
-        // Format cur to YYYY-MM-DD for exclusion check
-        const dStr = cur.toLocaleDateString('en-CA');
-        const isExcluded = mergedEx.some(ex => dStr >= ex.start && dStr <= ex.end);
-        
-        if (!isWeekend && !isExcluded) {
-            count++;
-        }
-        cur.setDate(cur.getDate() + 1);
-    }
-    return count;
+function calculateDebtShare(plan, allowance, today = getTodayDate()) {
+    return Engine.calculateDebtShare(plan, allowance, today, state.schoolBreaks);
+}
+
+function calculateProjectedEndDate(plan, today = getTodayDate()) {
+    return Engine.calculateProjectedEndDate(plan, today, state.schoolBreaks);
+}
+
+function previewTargets(plan, allowance, count = 7) {
+    return Engine.previewTargets(plan, allowance, getTodayDate(), state.schoolBreaks, count);
+}
+
+function simulatePlan(draft, allowance, from) {
+    return Engine.simulatePlan(draft, allowance, from, state.schoolBreaks);
+}
+
+function findEarliestEndDate(draft, allowance, from) {
+    return Engine.findEarliestEndDate(draft, allowance, from, state.schoolBreaks);
+}
+
+function saveState() {
+    Store.save(state).catch(err => {
+        console.error('Saving failed', err);
+        alert('Your latest changes could not be saved on this device. Free up some storage and try again.');
+    });
+    syncReminders();
+}
+
+// --- Daily Logic ---
+function checkDailyReset() {
+    const todayStr = getTodayStr();
+    const settled = Engine.settleDays(state, todayStr);
+    if (!settled) return;
+
+    // Undoing an edit to a day that is now closed would change settled history
+    clearUndoHistory();
+    updatePlanLifecycles();
+    autoStartPlanDays(todayStr);
+    saveState();
+
+    if (settled.missedDays > 0) showCatchUpSummary(settled.lastDay, settled.missedDays, settled.summary);
+}
+
+function showCatchUpSummary(lastDay, missedDays, summary) {
+    document.getElementById('catchup-msg').innerText =
+        `You last opened BaonBuddy on ${lastDay}. ${missedDays} day(s) since then were closed automatically.`;
+
+    const rows = summary.filter(s => s.closed || s.missed > 0);
+    setHtml(document.getElementById('catchup-list'), rows.length === 0
+        ? html`<li>No plans were running in that time.</li>`
+        : rows.map(s => html`
+            <li>
+                <strong>${s.name}</strong>:
+                ${s.closed ? `${lastDay} settled, ` : ''}${s.missed} day(s) recorded without an allowance${s.penalty > 0 ? `, ${formatMoney(s.penalty)} added to debt` : ''}
+            </li>
+        `));
+    document.getElementById('catchup-modal').classList.remove('hidden');
+}
+
+function getStartTarget(plan, allowance, manualTarget = 0) {
+    if (plan.manualSavingsMode) return manualTarget;
+    // Formula updated: includes goal, total savings, and days remaining (active weekdays)
+    if (plan.estimateMode) return calculateRequiredDaily(plan, allowance);
+    return 0;
+}
+
+function startPlanDay(plan, allowance, target) {
+    plan.dayActive = true;
+    plan.dailyAllowance = allowance;
+    plan.dailySavingsGoal = target;
+    plan.dailyDebtShare = plan.estimateMode && !plan.manualSavingsMode
+        ? Math.min(target, calculateDebtShare(plan, allowance))
+        : 0;
 }
 
-function calculateRequiredDaily(plan, allowance) {
-    const today = getManilaDate();
-    today.setHours(0, 0, 0, 0);
+// Withdrawals take money out of savings; transfers move it to another plan
+function moveSavings(plan, amount, note, toPlan = null) {
+    const date = state.lastLoginDate;
+    plan.totalSaved = (plan.totalSaved || 0) - amount;
+    pushPlanHistory(plan, {
+        date,
+        type: toPlan ? 'transfer-out' : 'withdrawal',
+        amount,
+        note,
+        planId: toPlan ? toPlan.id : null
+    });
+    refreshPlanTarget(plan);
 
-    // Rule: If today falls inside an exclusion range, requiredSavings is 0
-    if (isDateInExclusions(today, plan.exclusions || [])) {
-        return 0;
+    if (toPlan) {
+        toPlan.totalSaved = (toPlan.totalSaved || 0) + amount;
+        pushPlanHistory(toPlan, { date, type: 'transfer-in', amount, note, planId: plan.id });
+        refreshPlanTarget(toPlan);
+        updatePlanLifecycles();
+    } else {
+        state.totalSavings -= amount;
     }
+}
 
-    // Indefinite Mode Rule: No End Date
-    if (plan.useEndDate === false) {
-        if (!plan.manualSavingsMode) {
-            // Target is 50% of today's allowance
-            return allowance * 0.5;
-        }
-        return plan.dailySavingsGoal || 0;
+// Starts today's day for plans whose schedule has an amount for this weekday
+function autoStartPlanDays(dateStr) {
+    const weekday = new Date(dateStr + 'T00:00:00').getDay();
+    state.plans.forEach(plan => {
+        const amount = plan.allowanceSchedule[weekday];
+        if (amount === undefined || amount === null) return;
+        // Pooled plans get their allowance from the shared pool instead
+        if (plan.dayActive || plan.inPool || plan.status !== 'active') return;
+        if (dateStr < plan.startDate || hasPlanEnded(plan)) return;
+        if (isDateInExclusions(new Date(dateStr + 'T00:00:00'), getPlanExclusions(plan))) return;
+
+        // Manual plans carry over the last target they set
+        startPlanDay(plan, amount, getStartTarget(plan, amount, plan.lastDailyTarget || 0));
+    });
+}
+
+// --- Plan Lifecycle ---
+const PLAN_STATUS_LABELS = {
+    pending: 'Starts Soon', active: 'Active', paused: 'Paused', completed: 'Completed', archived: 'Archived'
+};
+
+// Pending is not stored: an active plan is pending until its start date
+function getPlanStatus(plan) {
+    if (plan.status === 'active' && state.lastLoginDate < plan.startDate) return 'pending';
+    return plan.status;
+}
+
+function isGoalMet(plan) {
+    return plan.goal > 0 && (plan.totalSaved || 0) >= plan.goal;
+}
+
+function hasPlanEnded(plan) {
+    return plan.useEndDate !== false && !!plan.endDate && plan.endDate < state.lastLoginDate;
+}
+
+// Completes plans that reached their goal or ran past their end date
+function updatePlanLifecycles() {
+    state.plans.forEach(plan => {
+        if (plan.status !== 'active' && plan.status !== 'paused') return;
+        if (!isGoalMet(plan) && !hasPlanEnded(plan)) return;
+        plan.status = 'completed';
+        plan.completedDate = state.lastLoginDate;
+        pendingCompletions.push(plan.id);
+    });
+    showNextCompletion();
+}
+
+function showNextCompletion() {
+    const modal = document.getElementById('complete-modal');
+    if (!modal.classList.contains('hidden') || pendingCompletions.length === 0) return;
+
+    const plan = state.plans.find(p => p.id === pendingCompletions[0]);
+    if (!plan) {
+        pendingCompletions.shift();
+        return showNextCompletion();
+    }
+    if (isGoalMet(plan)) {
+        document.getElementById('complete-title').innerText = 'Goal Reached!';
+        document.getElementById('complete-msg').innerText =
+            `You saved ${formatMoney(plan.totalSaved)} for "${plan.name}". Way to go!`;
+        if (navigator.vibrate) navigator.vibrate([30, 50, 30]);
+    } else {
+        document.getElementById('complete-title').innerText = 'Plan Ended';
+        document.getElementById('complete-msg').innerText =
+            `"${plan.name}" reached its end date with ${formatMoney(plan.totalSaved || 0)} of ${formatMoney(plan.goal || 0)} saved. ` +
+            'Move the end date in its settings to keep going.';
     }
+    modal.classList.remove('hidden');
+}
 
-    if (!plan.goal) return 0;
+// --- Shared Pool ---
+function getPoolPlans() {
+    const today = state.lastLoginDate;
+    return state.plans
+        .filter(p => p.inPool && p.status === 'active' && p.startDate <= today && !(p.useEndDate !== false && p.endDate && p.endDate < today))
+        .sort((a, b) => (a.poolPriority || 0) - (b.poolPriority || 0));
+}
 
-    const end = new Date(plan.endDate);
-    end.setHours(0, 0, 0, 0);
-    
-    if (today > end) return 0;
-    
-    // Remaining days counting Monday to Friday only (excluding exclusion periods)
-    const daysLeft = countCalculationDays(today, end, plan.exclusions || []);
-    if (daysLeft <= 0) return allowance; // Should save everything if it's the last day
-    
-    // The Formula: (Goal - Total Savings) / Days Left
-    const currentSavings = plan.totalSaved || 0;
-    const remainingNeeded = plan.goal - currentSavings;
-    
-    let target = Math.max(0, remainingNeeded / daysLeft);
+// Splits one allowance across plans. In priority order each plan takes its target
+// out of what is left; by percentage each plan gets its share and saves from that.
+// Anything unclaimed is spending money and goes to the first plan.
+function allocatePool(total, plans, mode) {
+    let remaining = total;
+    const shares = plans.map(plan => {
+        const budget = mode === 'percentage'
+            ? Math.min(remaining, total * (plan.poolPercent || 0) / 100)
+            : remaining;
+        // Manual plans ask for what they set last time
+        const target = Math.min(budget, getStartTarget(plan, budget, plan.lastDailyTarget || 0));
+        const allowance = mode === 'percentage' ? budget : target;
+        remaining -= allowance;
+        return { plan, allowance, target };
+    });
+    if (shares.length > 0) shares[0].allowance += remaining;
+    return shares;
+}
 
-    // Special User Rule: if end date is on, manual savings is off, allowance >= 80, and target < 50
-    // add 20% of allowance to the target.
-    if (plan.useEndDate !== false && !plan.manualSavingsMode && allowance >= 80 && target < 50) {
-        target += (allowance * 0.20);
+// --- Reminders ---
+// How many days ahead allowance reminders are queued, for when the app isn't opened
+const REMINDER_DAYS = 7;
+const CLOSING_REMINDER_TIME = '23:00';
+
+// Epoch ms of a wall-clock time on a date in the app's time zone
+function zonedTimestamp(dateStr, time) {
+    const target = Date.parse(`${dateStr}T${time}:00Z`);
+    const fmt = new Intl.DateTimeFormat('en-CA', {
+        timeZone: state.settings.timeZone, hourCycle: 'h23',
+        year: 'numeric', month: '2-digit', day: '2-digit', hour: '2-digit', minute: '2-digit'
+    });
+    let ts = target;
+    // Second pass settles times next to a daylight saving change
+    for (let i = 0; i < 2; i++) {
+        const parts = Object.fromEntries(fmt.formatToParts(new Date(ts)).map(p => [p.type, p.value]));
+        ts += target - Date.parse(`${parts.year}-${parts.month}-${parts.day}T${parts.hour}:${parts.minute}:00Z`);
     }
-    
-    // The target is capped by what you actually have today (today's allowance)
-    return Math.min(allowance, target);
+    return ts;
 }
 
-function calculateProjectedEndDate(plan) {
-    if (!plan.goal || !plan.dailySavingsGoal || plan.dailySavingsGoal <= 0) return null;
-    
-    const remainingNeeded = plan.goal - (plan.totalSaved || 0);
-    if (remainingNeeded <= 0) return "Goal Met!";
-    
-    const daysNeeded = Math.ceil(remainingNeeded / plan.dailySavingsGoal);
-    
-    let cur = getManilaDate();
-    cur.setHours(0, 0, 0, 0);
-    // Start counting from tomorrow
-    cur.setDate(cur.getDate() + 1);
-    
-    let workingDaysFound = 0;
-    const mergedEx = mergeExclusions(plan.exclusions || []);
-
-    // Safety counter to prevent infinite loops
-    let safety = 0;
-    while (workingDaysFound < daysNeeded && safety < 10000) {
-        safety++;
-        const dayNum = cur.getDay();
-        const isWeekend = (dayNum === 0 || dayNum === 6);
-        const dStr = cur.toLocaleDateString('en-CA');
-        const isExcluded = mergedEx.some(ex => dStr >= ex.start && dStr <= ex.end);
-        
-        if (!isWeekend && !isExcluded) {
-            workingDaysFound++;
-        }
-        
-        if (workingDaysFound < daysNeeded) {
-            cur.setDate(cur.getDate() + 1);
+function isQuietTime(time) {
+    const { quietStart: start, quietEnd: end } = state.reminders;
+    if (!start || !end || start === end) return false;
+    return start < end ? time >= start && time < end : time >= start || time < end;
+}
+
+function buildReminders() {
+    const settings = state.reminders;
+    if (!settings.enabled) return [];
+
+    const today = state.lastLoginDate;
+    const now = Date.now();
+    const profile = Profiles.getActive();
+    // Notifications show on the lock screen and the schedule is kept unencrypted,
+    // so a PIN-locked or encrypted profile names no plans or amounts
+    const discreet = !!profile.pin || Store.isEncrypted();
+    const plans = state.plans.filter(p => p.remindersEnabled && p.status === 'active' && !hasPlanEnded(p));
+    const reminders = [];
+    const add = (id, date, time, title, body) => {
+        if (!time || isQuietTime(time)) return;
+        const at = zonedTimestamp(date, time);
+        // Tagged per profile so one profile's notification never replaces another's
+        if (at > now) reminders.push({ id: `${id}:${date}`, at, title, body, tag: `${profile.id}:${id}` });
+    };
+
+    for (let i = 0; i < REMINDER_DAYS; i++) {
+        const date = addDays(today, i);
+        const weekday = new Date(date + 'T00:00:00').getDay();
+        // Days that start from a schedule don't need a reminder
+        const waiting = plans.filter(p => p.startDate <= date && !(p.useEndDate !== false && p.endDate && date > p.endDate) &&
+            !(i === 0 && p.dayActive) && (p.inPool || p.allowanceSchedule[weekday] === undefined) && isCalculationDay(date, p));
+        const names = [...new Set(waiting.map(p => p.inPool ? 'Shared Allowance' : p.name))];
+        if (names.length > 0) {
+            add('allowance', date, settings.allowanceTime, "Set today's allowance",
+                discreet ? 'Open BaonBuddy to start the day.' : `Start the day for ${names.join(', ')}.`);
         }
     }
-    
-    return cur.toLocaleDateString('en-CA');
-}
 
-function saveState() {
-    Store.save(state);
+    const active = plans.filter(p => p.dayActive);
+    active.forEach(plan => {
+        const target = plan.dailySavingsGoal || 0;
+        if (target <= 0) return;
+        const remaining = plan.dailyAllowance - getDailySpent(plan);
+        const body = remaining < target
+            ? `You are ${formatMoney(target - remaining)} short of today's ${formatMoney(target)} target.`
+            : `You can still spend ${formatMoney(remaining - target)} and hit today's target.`;
+        if (discreet) add(`progress:${plan.id}`, today, settings.progressTime, 'Savings check-in', 'Open BaonBuddy to see how today is going.');
+        else add(`progress:${plan.id}`, today, settings.progressTime, plan.name, body);
+    });
+    if (settings.closing && active.length > 0) {
+        add('closing', today, CLOSING_REMINDER_TIME, 'Today closes in an hour', 'Log any last purchases before midnight.');
+    }
+    return reminders;
 }
 
-// --- Daily Logic ---
-function checkDailyReset() {
-    const todayStr = getTodayStr();
-    if (state.lastLoginDate !== todayStr) {
-        state.plans.forEach(plan => {
-            if (plan.dayActive) {
-                // Actual savings for the day is whatever was left from the allowance
-                const actualSavings = (plan.dailyAllowance || 0) - (plan.dailySpent || 0);
-                const target = plan.dailySavingsGoal || 0;
-                
-                // Track debt in penalty mode if actual savings didn't meet the target
-                if (plan.penaltyMode && (plan.estimateMode || plan.manualSavingsMode)) {
-                    if (actualSavings < target) {
-                        plan.penaltyDebt = (plan.penaltyDebt || 0) + (target - actualSavings);
-                    }
-                }
-
-                // Update totals (actualSavings can be negative if overspent)
-                state.totalSavings += actualSavings;
-                plan.totalSaved = (plan.totalSaved || 0) + actualSavings;
-                plan.totalSpent = (plan.totalSpent || 0) + (plan.dailySpent || 0);
-
-                // Plan-specific history tracking
-                plan.history = plan.history || [];
-                plan.history.push({
-                    date: state.lastLoginDate || todayStr,
-                    totalSaved: plan.totalSaved
-                });
-                if (plan.history.length > 30) plan.history.shift();
-                
-                // Reset daily
-                plan.dayActive = false;
-                plan.dailyAllowance = 0;
-                plan.dailySpent = 0;
-                plan.dailySavingsGoal = 0;
-            }
-        });
+function postToWorker(message) {
+    if (!('serviceWorker' in navigator)) return;
+    navigator.serviceWorker.ready.then(reg => {
+        if (reg.active) reg.active.postMessage(message);
+    });
+}
 
-        state.history.push({
-            date: state.lastLoginDate || todayStr,
-            savings: state.totalSavings
-        });
-        if (state.history.length > 30) state.history.shift();
+// Hands the schedule to the service worker, which shows them even with the app
+// closed. Each profile has its own schedule there, so switching keeps the others.
+function syncReminders() {
+    if (!('serviceWorker' in navigator)) return;
+    const reminders = buildReminders();
+    postToWorker({ type: 'reminders', profileId: Profiles.getActive().id, reminders });
+
+    // While the page is alive, wake the worker when the next one is due
+    clearTimeout(reminderTimer);
+    if (reminders.length === 0) return;
+    const next = Math.min(...reminders.map(r => r.at));
+    reminderTimer = setTimeout(() => postToWorker({ type: 'check-reminders' }), next - Date.now() + 1000);
+}
 
-        state.lastLoginDate = todayStr;
-        saveState();
+async function registerReminderSync() {
+    const reg = await navigator.serviceWorker.ready;
+    if (!reg.periodicSync) return;
+    try {
+        await reg.periodicSync.register('reminders', { minInterval: 15 * 60 * 1000 });
+    } catch (err) {
+        // Only installed apps get background checks; open-app reminders still work
+        console.warn('Periodic sync unavailable', err);
     }
 }
 
@@ -242,6 +498,12 @@ function showScreen(screenId) {
     checkDailyReset(); // Ensure reset whenever switching views
     if (screenId === 'home-screen') renderPlans();
     if (screenId === 'reports-screen') renderGlobalReports();
+    if (screenId === 'settings-screen') {
+        renderRegionSettings();
+        renderReminderSettings();
+        renderEncryption();
+        renderSchoolBreaks();
+    }
 }
 
 function openPlanHub(planId) {
@@ -253,20 +515,110 @@ function openPlanHub(planId) {
     document.getElementById('toggle-estimate').checked = !!plan.estimateMode;
     document.getElementById('toggle-manual').checked = !!plan.manualSavingsMode;
     document.getElementById('toggle-penalty').checked = !!plan.penaltyMode;
+    document.getElementById('toggle-holidays').checked = !!plan.useHolidays;
+    document.getElementById('toggle-plan-reminders').checked = !!plan.remindersEnabled;
+    document.getElementById('toggle-auto-repay').checked = !!plan.autoRepayDebt;
+    document.getElementById('toggle-debt-target').checked = !!plan.includeDebtInTarget;
+    document.getElementById('missed-day-policy').value = plan.missedDayPolicy;
+    document.getElementById('missed-day-penalty').value = plan.missedDayPenalty || '';
+    document.getElementById('missed-day-penalty').classList.toggle('hidden', plan.missedDayPolicy !== 'fixed');
     document.getElementById('toggle-use-end-date').checked = plan.useEndDate !== false;
     document.getElementById('edit-plan-name').value = plan.name;
     document.getElementById('edit-start-date').value = plan.startDate;
     document.getElementById('edit-end-date').value = plan.endDate || '';
     document.getElementById('edit-end-date-group').classList.toggle('hidden', plan.useEndDate === false);
     document.getElementById('edit-goal').value = plan.goal || '';
+    document.getElementById('toggle-pool').checked = !!plan.inPool;
+    document.getElementById('pool-settings').classList.toggle('hidden', !plan.inPool);
+    document.getElementById('edit-pool-priority').value = plan.poolPriority || '';
+    document.getElementById('edit-pool-percent').value = plan.poolPercent || '';
+    document.querySelectorAll('#active-days input').forEach(cb => {
+        cb.checked = plan.activeDays.includes(parseInt(cb.value, 10));
+    });
+    document.querySelectorAll('#allowance-schedule input').forEach(input => {
+        const amount = plan.allowanceSchedule[input.dataset.day];
+        input.value = amount === undefined ? '' : amount;
+    });
 
     renderExclusions();
+    renderCategoryOptions();
+    renderCategoryBudgets();
+    renderLifecycleButtons(plan);
+    renderStrategyForm(plan);
     updatePlanHubUI();
     showScreen('plan-detail-screen');
     // Default to 'This' tab
     switchTab('this-tab');
 }
 
+function renderStrategyForm(plan) {
+    const strategy = plan.targetStrategy;
+    document.getElementById('strategy-type').value = strategy.type;
+    document.getElementById('strategy-amount').value = strategy.amount || '';
+    document.getElementById('strategy-percent').value = strategy.percent || '';
+    document.getElementById('strategy-indefinite-percent').value = strategy.indefinitePercent;
+    document.getElementById('strategy-boost-min').value = strategy.boostMinAllowance;
+    document.getElementById('strategy-boost-below').value = strategy.boostBelowTarget;
+    document.getElementById('strategy-boost-percent').value = strategy.boostPercent;
+    document.getElementById('strategy-round').value = strategy.roundTo || '';
+
+    // Preview with today's allowance, or the last one entered
+    const lastDay = plan.history.filter(h => h.type === 'day').pop();
+    const allowance = plan.dayActive ? plan.dailyAllowance : (lastDay ? lastDay.allowance : '');
+    document.getElementById('strategy-preview-allowance').value = allowance;
+    renderStrategyPreview();
+}
+
+function readStrategyForm() {
+    const num = (id) => Math.max(0, parseFloat(document.getElementById(id).value) || 0);
+    return {
+        type: document.getElementById('strategy-type').value,
+        amount: num('strategy-amount'),
+        percent: num('strategy-percent'),
+        indefinitePercent: num('strategy-indefinite-percent'),
+        boostMinAllowance: num('strategy-boost-min'),
+        boostBelowTarget: num('strategy-boost-below'),
+        boostPercent: num('strategy-boost-percent'),
+        roundTo: num('strategy-round')
+    };
+}
+
+function renderStrategyPreview() {
+    const plan = state.plans.find(p => p.id === currentPlanId);
+    const strategy = readStrategyForm();
+    document.querySelectorAll('.strategy-field').forEach(el => {
+        el.classList.toggle('hidden', !el.dataset.for.split(' ').includes(strategy.type));
+    });
+
+    const note = document.getElementById('strategy-preview-note');
+    const container = document.getElementById('strategy-preview');
+    const allowance = parseFloat(document.getElementById('strategy-preview-allowance').value) || 0;
+    if (plan.manualSavingsMode) {
+        note.innerText = 'Manual savings is on, so you set each day\'s target yourself.';
+        container.innerHTML = '';
+        return;
+    }
+
+    // Previewed as active so a paused plan shows what resuming would ask for
+    const rows = previewTargets({ ...plan, status: 'active', targetStrategy: strategy }, allowance);
+    note.innerText = rows.length === 0
+        ? 'No days left to save on.'
+        : `Next ${rows.length} day(s) with a ${formatMoney(allowance)} allowance, if each target is met:`;
+    setHtml(container, rows.map(r => html`
+        <div class="preview-row">
+            <span>${new Date(r.date + 'T00:00:00').toLocaleDateString(undefined, { weekday: 'short', month: 'short', day: 'numeric' })}</span>
+            <strong>${formatMoney(r.target)}</strong>
+        </div>
+    `));
+}
+
+function renderLifecycleButtons(plan) {
+    const pauseBtn = document.getElementById('pause-plan-btn');
+    pauseBtn.classList.toggle('hidden', plan.status === 'completed' || plan.status === 'archived');
+    pauseBtn.innerText = plan.status === 'paused' ? 'Resume Plan' : 'Pause Plan';
+    document.getElementById('archive-plan-btn').innerText = plan.status === 'archived' ? 'Unarchive Plan' : 'Archive Plan';
+}
+
 function switchTab(tabId) {
     document.querySelectorAll('.tab-btn').forEach(b => b.classList.toggle('active', b.dataset.tab === tabId));
     document.querySelectorAll('.tab-pane').forEach(p => p.classList.toggle('active', p.id === tabId));
@@ -275,9 +627,46 @@ function switchTab(tabId) {
 }
 
 // --- Rendering ---
+function renderPoolCard() {
+    const members = state.plans.filter(p => p.inPool && p.status === 'active');
+    document.getElementById('pool-card').classList.toggle('hidden', members.length === 0);
+    if (members.length === 0) return;
+
+    const mode = state.pool.mode;
+    document.getElementById('pool-mode').value = mode;
+    document.getElementById('pool-note').innerText = mode === 'percentage'
+        ? `Split by share: ${members.map(p => `${p.name} ${p.poolPercent || 0}%`).join(', ')}`
+        : `Targets filled in order: ${[...members].sort((a, b) => a.poolPriority - b.poolPriority).map(p => p.name).join(' → ')}`;
+
+    const waiting = getPoolPlans().filter(p => !p.dayActive);
+    document.getElementById('pool-setup-ui').classList.toggle('hidden', waiting.length === 0);
+
+    const container = document.getElementById('pool-allocation');
+    const todays = state.allocations.filter(a => a.date === state.lastLoginDate);
+    setHtml(container, todays.flatMap(a => a.shares).map(s => {
+        const plan = state.plans.find(p => p.id === s.planId);
+        return html`
+            <div class="purchase-item">
+                <div class="purchase-info">
+                    <strong>${plan ? plan.name : 'Deleted plan'}</strong>
+                    <small>Save ${formatMoney(s.target)}</small>
+                </div>
+                <span class="purchase-amount">${formatMoney(s.allowance)}</span>
+            </div>
+        `;
+    }));
+}
+
 function renderPlans() {
+    renderPoolCard();
     const list = document.getElementById('plans-list');
-    if (state.plans.length === 0) {
+    const archived = state.plans.filter(p => p.status === 'archived');
+    const current = state.plans.filter(p => p.status !== 'archived');
+
+    document.getElementById('archived-section').classList.toggle('hidden', archived.length === 0);
+    setHtml(document.getElementById('archived-list'), archived.map(renderPlanCard));
+
+    if (current.length === 0) {
         list.innerHTML = `
             <div class="card" style="text-align:center; border-style: dashed; padding: 40px 20px;">
                 <i data-lucide="sparkles" size="32" style="color:var(--secondary-dark); margin-bottom:10px"></i>
@@ -288,31 +677,33 @@ function renderPlans() {
         return;
     }
 
-    const today = getManilaDate();
-    today.setHours(0,0,0,0);
+    setHtml(list, current.map(renderPlanCard));
+    lucide.createIcons();
+}
+
+function renderPlanCard(p) {
+    const status = getPlanStatus(p);
+    const progress = p.goal ? Math.min(100, ((p.totalSaved || 0) / p.goal) * 100) : 0;
+    const tag = status === 'active' || status === 'pending' ? '' : html`<span class="status-tag ${status}">${PLAN_STATUS_LABELS[status]}</span>`;
+    let subtitle = 'Target: ' + p.endDate;
+    if (status === 'pending') subtitle = 'Starts ' + p.startDate;
+    else if (p.completedDate) subtitle = 'Completed ' + p.completedDate;
 
-    list.innerHTML = state.plans.map(p => {
-        const startDate = new Date(p.startDate);
-        const isPending = today < startDate;
-        const progress = p.goal ? Math.min(100, ((p.totalSaved || 0) / p.goal) * 100) : 0;
-        
-        return `
-            <div class="plan-card ${isPending ? 'pending' : ''}" onclick="window.openPlanHub('${p.id}')">
+    return html`
+            <div class="plan-card ${status}" data-action="open-plan" data-id="${p.id}">
                 <div style="flex:1">
-                    <h3>${p.name}</h3>
-                    <p>${isPending ? 'Starts ' + p.startDate : 'Target: ' + p.endDate}</p>
-                    <div style="margin-top:8px; font-weight:800; color:var(--primary-dark)">₱${(p.totalSaved || 0).toLocaleString()} <span style="font-weight:400; font-size:11px; color:var(--text-light)">SAVED</span></div>
+                    <h3>${p.name}${tag}</h3>
+                    <p>${subtitle}</p>
+                    <div style="margin-top:8px; font-weight:800; color:var(--primary-dark)">${formatMoney(p.totalSaved || 0)} <span style="font-weight:400; font-size:11px; color:var(--text-light)">SAVED</span></div>
                 </div>
                 <div style="text-align:right">
                     <div style="background:var(--secondary); width:40px; height:40px; border-radius:50%; display:flex; align-items:center; justify-content:center; margin-left:auto; margin-bottom:5px; box-shadow:0 4px 8px rgba(251, 192, 45, 0.3)">
                         <i data-lucide="chevron-right" style="color:var(--text)"></i>
                     </div>
-                    ${p.goal ? `<div style="font-size:12px; font-weight:800; color:var(--primary)">${progress.toFixed(0)}%</div>` : ''}
+                    ${p.goal ? html`<div style="font-size:12px; font-weight:800; color:var(--primary)">${progress.toFixed(0)}%</div>` : ''}
                 </div>
             </div>
         `;
-    }).join('');
-    lucide.createIcons();
 }
 
 function updatePlanHubUI() {
@@ -325,14 +716,26 @@ function updatePlanHubUI() {
     const banner = document.getElementById('not-started-msg');
     const actionCard = document.getElementById('daily-action-card');
     
+    const status = getPlanStatus(plan);
+    
     if (!isStarted) {
         banner.classList.remove('hidden');
         document.getElementById('start-date-status').innerText = `Plan starts on ${plan.startDate}`;
         actionCard.classList.add('hidden');
+    } else if (!plan.dayActive && status !== 'active') {
+        // Paused, completed and archived plans keep their reports but take no new days
+        banner.classList.remove('hidden');
+        let message = 'This plan is archived.';
+        if (status === 'paused') message = 'This plan is paused. Resume it from Settings.';
+        else if (plan.completedDate) message = `Plan completed on ${plan.completedDate}.`;
+        document.getElementById('start-date-status').innerText = message;
+        actionCard.classList.add('hidden');
     } else {
         banner.classList.add('hidden');
         actionCard.classList.remove('hidden');
         
+        document.getElementById('pool-member-note').classList.toggle('hidden', plan.dayActive || !plan.inPool);
+
         if (plan.dayActive) {
             document.getElementById('allowance-setup-ui').classList.add('hidden');
             document.getElementById('day-active-ui').classList.remove('hidden');
@@ -341,14 +744,15 @@ function updatePlanHubUI() {
             const manualEditBtn = document.getElementById('edit-manual-savings-btn');
             manualEditBtn.classList.toggle('hidden', !plan.manualSavingsMode);
 
-            const remaining = plan.dailyAllowance - plan.dailySpent;
+            const spent = getDailySpent(plan);
+            const remaining = plan.dailyAllowance - spent;
             const target = plan.dailySavingsGoal || 0;
             
-            document.getElementById('ui-remaining').innerText = `₱${remaining.toFixed(2)}`;
-            document.getElementById('ui-savings').innerText = `₱${target.toFixed(2)}`;
-            document.getElementById('ui-spent').innerText = `₱${(plan.dailySpent || 0).toFixed(2)}`;
+            document.getElementById('ui-remaining').innerText = formatMoney(remaining);
+            document.getElementById('ui-savings').innerText = formatMoney(target);
+            document.getElementById('ui-spent').innerText = formatMoney(spent);
         } else {
-            document.getElementById('allowance-setup-ui').classList.remove('hidden');
+            document.getElementById('allowance-setup-ui').classList.toggle('hidden', !!plan.inPool);
             document.getElementById('day-active-ui').classList.add('hidden');
             document.getElementById('manual-savings-group').classList.toggle('hidden', !plan.manualSavingsMode);
             // Clear inputs for new day
@@ -357,33 +761,119 @@ function updatePlanHubUI() {
         }
     }
 
+    renderPurchases();
     renderProducts();
+    renderStrategyPreview();
+}
+
+function renderPurchases() {
+    const plan = state.plans.find(p => p.id === currentPlanId);
+    const section = document.getElementById('purchases-section');
+    const container = document.getElementById('purchases-list');
+    
+    section.classList.toggle('hidden', !plan.dayActive);
+    if (!plan.dayActive) return;
+
+    const items = getDayTransactions(plan).sort((a, b) => b.timestamp - a.timestamp);
+    document.getElementById('undo-purchase-btn').classList.toggle('hidden', items.length === 0);
+
+    if (items.length === 0) {
+        container.innerHTML = `<p style="text-align:center; color:var(--text-light); font-size: 11px; margin: 10px 0;">No purchases yet today.</p>`;
+        return;
+    }
+
+    setHtml(container, items.map(t => html`
+        <div class="purchase-item">
+            <div class="purchase-info">
+                <strong>${t.label}</strong>
+                <small>${new Date(t.timestamp).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit', timeZone: state.settings.timeZone })}</small>
+            </div>
+            <span class="purchase-amount">${formatMoney(t.amount)}</span>
+            <button class="btn-icon" data-action="edit-transaction" data-id="${t.id}"><i data-lucide="edit-3" size="14"></i></button>
+            <button class="btn-del-excl" data-action="delete-transaction" data-id="${t.id}"><i data-lucide="trash-2" size="14"></i></button>
+        </div>
+    `));
+    lucide.createIcons();
 }
 
 function renderExclusions() {
     const plan = state.plans.find(p => p.id === currentPlanId);
     const container = document.getElementById('exclusions-list');
     
-    if (!plan.exclusions || plan.exclusions.length === 0) {
+    const todayStr = getTodayStr();
+    // Only upcoming calendar days, the full list would drown out the user's own ranges
+    const calendar = getCalendarExclusions(plan).filter(ex => ex.end >= todayStr).sort((a, b) => a.start.localeCompare(b.start));
+
+    if (plan.exclusions.length === 0 && calendar.length === 0) {
         container.innerHTML = `<p style="text-align:center; color:var(--text-light); font-size: 11px; margin: 10px 0;">No exclusions set.</p>`;
         return;
     }
 
-    // Merge for display so the user sees the logic applied
-    const merged = mergeExclusions(plan.exclusions);
-    // Update the actual state to keep it clean (sync with merged)
-    plan.exclusions = merged;
-
-    container.innerHTML = plan.exclusions.map((ex, idx) => `
+    setHtml(container, [...plan.exclusions.map((ex, idx) => html`
         <div class="exclusion-item">
             <div class="excl-dates">
                 <span>${ex.start}</span>
                 <i data-lucide="arrow-right" size="12"></i>
                 <span>${ex.end}</span>
             </div>
-            <button class="btn-del-excl" onclick="window.deleteExclusion(${idx})"><i data-lucide="trash-2" size="14"></i></button>
+            <button class="btn-del-excl" data-action="delete-exclusion" data-index="${idx}"><i data-lucide="trash-2" size="14"></i></button>
+        </div>
+    `), ...calendar.map(ex => html`
+        <div class="exclusion-item calendar">
+            <div class="excl-dates">
+                <span>${ex.start}</span>
+                ${ex.end !== ex.start ? html`<i data-lucide="arrow-right" size="12"></i><span>${ex.end}</span>` : ''}
+            </div>
+            <span class="excl-tag ${ex.type}">${ex.name}</span>
+        </div>
+    `)]);
+    lucide.createIcons();
+}
+
+function renderRegionSettings() {
+    const select = document.getElementById('setting-timezone');
+    if (select.options.length === 0) {
+        const zones = Intl.supportedValuesOf ? Intl.supportedValuesOf('timeZone') : [];
+        if (!zones.includes(state.settings.timeZone)) zones.unshift(state.settings.timeZone);
+        setHtml(select, zones.map(z => html`<option value="${z}">${z.replace(/_/g, ' ')}</option>`));
+    }
+    select.value = state.settings.timeZone;
+    document.getElementById('setting-currency-code').value = state.settings.currency.code;
+    document.getElementById('setting-currency-symbol').value = state.settings.currency.symbol;
+    document.getElementById('setting-currency-decimals').value = state.settings.currency.decimals;
+    document.getElementById('region-preview').innerText = `Example: ${formatMoney(1234.5)}`;
+}
+
+function renderReminderSettings() {
+    const settings = state.reminders;
+    document.getElementById('toggle-reminders').checked = settings.enabled;
+    document.getElementById('reminder-settings').classList.toggle('hidden', !settings.enabled);
+    document.getElementById('reminder-allowance-time').value = settings.allowanceTime || '';
+    document.getElementById('reminder-progress-time').value = settings.progressTime || '';
+    document.getElementById('toggle-closing-reminder').checked = settings.closing;
+    document.getElementById('reminder-quiet-start').value = settings.quietStart || '';
+    document.getElementById('reminder-quiet-end').value = settings.quietEnd || '';
+}
+
+function renderSchoolBreaks() {
+    const container = document.getElementById('school-breaks-list');
+
+    if (state.schoolBreaks.length === 0) {
+        container.innerHTML = `<p style="text-align:center; color:var(--text-light); font-size: 11px; margin: 10px 0;">No school breaks added.</p>`;
+        return;
+    }
+
+    setHtml(container, state.schoolBreaks.map(b => html`
+        <div class="exclusion-item">
+            <div class="excl-dates">
+                <strong>${b.name}</strong>
+                <span>${b.start}</span>
+                <i data-lucide="arrow-right" size="12"></i>
+                <span>${b.end}</span>
+            </div>
+            <button class="btn-del-excl" data-action="delete-school-break" data-id="${b.id}"><i data-lucide="trash-2" size="14"></i></button>
         </div>
-    `).join('');
+    `));
     lucide.createIcons();
 }
 
@@ -396,17 +886,125 @@ function renderProducts() {
         return;
     }
 
-    container.innerHTML = plan.products.map((prod, idx) => `
+    setHtml(container, plan.products.map((prod, idx) => html`
         <div class="product-item">
-            <button class="btn-del-prod btn-icon" onclick="window.deleteProduct(${idx})"><i data-lucide="x" size="12"></i></button>
+            <button class="btn-del-prod btn-icon" data-action="delete-product" data-index="${idx}"><i data-lucide="x" size="12"></i></button>
             <h4>${prod.name}</h4>
-            <p>₱${prod.price.toFixed(2)}</p>
-            <button class="btn-buy-mini" onclick="window.buyProduct(${idx})" ${!plan.dayActive ? 'disabled' : ''}>Buy</button>
+            <small class="product-category">${getCategoryName(prod.category)}</small>
+            <p>${formatMoney(prod.price)}</p>
+            <button class="btn-buy-mini" data-action="buy-product" data-index="${idx}" ${!plan.dayActive ? 'disabled' : ''}>Buy</button>
         </div>
-    `).join('');
+    `));
     lucide.createIcons();
 }
 
+function renderCategoryOptions() {
+    const options = [
+        ...getCategories().map(c => html`<option value="${c.id}">${c.name}</option>`),
+        html`<option value="__new">+ New category...</option>`
+    ];
+    ['prod-category', 'other-purchase-category'].forEach(id => {
+        const select = document.getElementById(id);
+        const current = select.value;
+        setHtml(select, options);
+        select.value = current && current !== '__new' ? current : OTHER_CATEGORY.id;
+    });
+}
+
+function renderCategoryBudgets() {
+    const plan = state.plans.find(p => p.id === currentPlanId);
+    setHtml(document.getElementById('category-budgets'), getCategories().map(c => {
+        const budget = plan.categoryBudgets[c.id] || {};
+        return html`
+            <div class="budget-row">
+                <span>${c.name}</span>
+                <input type="number" placeholder="Daily" value="${budget.daily || ''}" data-change="set-budget" data-category="${c.id}" data-period="daily">
+                <input type="number" placeholder="Weekly" value="${budget.weekly || ''}" data-change="set-budget" data-category="${c.id}" data-period="weekly">
+            </div>
+        `;
+    }));
+}
+
+function renderCategoryChart(plan) {
+    const totals = new Map();
+    const knownIds = new Set(getCategories().map(c => c.id));
+    state.transactions
+        .filter(t => t.planId === plan.id)
+        .forEach(t => {
+            // Ids of categories this device doesn't know are counted as Other
+            const id = knownIds.has(t.category) ? t.category : OTHER_CATEGORY.id;
+            totals.set(id, (totals.get(id) || 0) + t.amount);
+        });
+
+    const categories = getCategories().filter(c => totals.has(c.id));
+    document.getElementById('category-chart-empty').classList.toggle('hidden', categories.length > 0);
+
+    const ctx = document.getElementById('plan-category-chart');
+    if (planCategoryChart) planCategoryChart.destroy();
+    planCategoryChart = new Chart(ctx, {
+        type: 'doughnut',
+        data: {
+            labels: categories.map(c => c.name),
+            datasets: [{
+                data: categories.map(c => totals.get(c.id)),
+                backgroundColor: categories.map((c, i) => CATEGORY_COLORS[i % CATEGORY_COLORS.length])
+            }]
+        },
+        options: {
+            cutout: '60%',
+            maintainAspectRatio: false,
+            plugins: {
+                legend: { position: 'right', labels: { boxWidth: 10, font: { size: 11 } } },
+                tooltip: { callbacks: { label: (item) => `${item.label}: ${formatMoney(item.raw)}` } }
+            }
+        }
+    });
+}
+
+function renderDebtLog(plan) {
+    const container = document.getElementById('debt-log');
+    if (plan.debtLog.length === 0) {
+        container.innerHTML = `<p class="card-note">No debt recorded yet.</p>`;
+        return;
+    }
+
+    const labels = { incurred: 'Incurred', repaid: 'Repaid', forgiven: 'Forgiven' };
+    setHtml(container, plan.debtLog.slice().reverse().map(entry => html`
+        <div class="purchase-item">
+            <div class="purchase-info">
+                <strong>${entry.note || labels[entry.type]}</strong>
+                <small>${entry.date || ''} · ${labels[entry.type]}</small>
+            </div>
+            <span class="purchase-amount ${entry.type}">${entry.type === 'incurred' ? '+' : '−'}${formatMoney(entry.amount)}</span>
+        </div>
+    `));
+}
+
+function renderMoves(plan) {
+    const container = document.getElementById('moves-list');
+    const moves = plan.history.filter(h => ['withdrawal', 'transfer-in', 'transfer-out'].includes(h.type));
+    if (moves.length === 0) {
+        container.innerHTML = `<p class="card-note">No withdrawals or transfers yet.</p>`;
+        return;
+    }
+
+    const planName = (id) => (state.plans.find(p => p.id === id) || { name: 'Deleted plan' }).name;
+    const labels = {
+        'withdrawal': () => 'Withdrawn',
+        'transfer-out': (h) => `To ${planName(h.planId)}`,
+        'transfer-in': (h) => `From ${planName(h.planId)}`
+    };
+    setHtml(container, moves.slice().reverse().map(h => html`
+        <div class="purchase-item">
+            <div class="purchase-info">
+                <strong>${h.note || labels[h.type](h)}</strong>
+                <small>${h.date} · ${labels[h.type](h)}</small>
+            </div>
+            <span class="purchase-amount ${h.type}">${h.type === 'transfer-in' ? '+' : '−'}${formatMoney(h.amount)}</span>
+        </div>
+    `));
+}
+
 function renderPlanReports() {
     const plan = state.plans.find(p => p.id === currentPlanId);
     const progress = plan.goal ? Math.min(100, ((plan.totalSaved || 0) / plan.goal) * 100) : 0;
@@ -419,24 +1017,24 @@ function renderPlanReports() {
     document.getElementById('stat-projected-group').classList.toggle('hidden', !isIndefinite);
 
     if (!isIndefinite) {
-        // Calculate actual working days left (M-F minus exclusions)
-        const today = getManilaDate();
-        const workingDaysLeft = countCalculationDays(today, plan.endDate, plan.exclusions || []);
+        // Calculate actual working days left (active weekdays minus exclusions)
+        const today = getTodayDate();
+        const workingDaysLeft = countCalculationDays(today, plan.endDate, getPlanExclusions(plan), plan.activeDays);
         document.getElementById('stat-days-left').innerText = workingDaysLeft;
     } else {
         const projected = calculateProjectedEndDate(plan);
         document.getElementById('stat-projected-date').innerText = projected || 'TBD';
     }
 
-    document.getElementById('stat-debt').innerText = `₱${(plan.penaltyDebt || 0).toFixed(2)}`;
+    document.getElementById('stat-debt').innerText = formatMoney(plan.penaltyDebt || 0);
     
     // Check if there's a custom display for saved amount
     const savedEl = document.getElementById('stat-total-saved') || null;
-    if (savedEl) savedEl.innerText = `₱${(plan.totalSaved || 0).toFixed(2)}`;
+    if (savedEl) savedEl.innerText = formatMoney(plan.totalSaved || 0);
 
     if (plan.dayActive) {
         const rec = plan.dailySavingsGoal || 0;
-        document.getElementById('plan-recommendation').innerText = `Today's Target: ₱${rec.toFixed(2)}`;
+        document.getElementById('plan-recommendation').innerText = `Today's Target: ${formatMoney(rec)}`;
     } else {
         document.getElementById('plan-recommendation').innerText = "Set today's allowance to see target.";
     }
@@ -455,24 +1053,20 @@ function renderPlanReports() {
         options: { cutout: '70%', plugins: { legend: { display: false }, tooltip: { enabled: false } }, maintainAspectRatio: false }
     });
 
+    renderCategoryChart(plan);
+    renderMoves(plan);
+    renderDebtLog(plan);
+
     const ctxHistory = document.getElementById('plan-history-chart');
     if (planHistoryChart) planHistoryChart.destroy();
 
-    const hist = plan.history || [];
-    const labels = hist.map(h => h.date.split(' ').slice(1,3).join(' '));
-    const data = hist.map(h => h.totalSaved);
-
-    if (labels.length === 0) { 
-        labels.push('Now'); 
-        data.push(plan.totalSaved || 0); 
-    }
+    const { points, unit } = aggregateHistory(plan.history.map(h => ({ date: h.date, value: h.totalSaved })), plan.totalSaved || 0);
 
     planHistoryChart = new Chart(ctxHistory, {
         type: 'line',
         data: {
-            labels,
             datasets: [{
-                data,
+                data: points,
                 borderColor: '#00bcd4',
                 tension: 0.4,
                 pointRadius: 0,
@@ -482,55 +1076,785 @@ function renderPlanReports() {
         },
         options: {
             plugins: { legend: { display: false } },
-            scales: { x: { display: false }, y: { display: false } },
+            scales: { x: dateAxis(unit, { font: { size: 9 }, maxTicksLimit: 3 }), y: { display: false } },
             maintainAspectRatio: false
         }
     });
 }
 
-function renderGlobalReports() {
-    document.getElementById('total-savings-amount').innerText = `₱${state.totalSavings.toFixed(2)}`;
-    
-    const ctx = document.getElementById('savings-chart');
-    if (globalChart) globalChart.destroy();
-    
-    const labels = state.history.map(h => h.date.split(' ').slice(1,3).join(' '));
-    const data = state.history.map(h => h.savings);
-    
-    if (labels.length === 0) { labels.push('Today'); data.push(state.totalSavings); }
+function getRangeStart(range) {
+    const d = getTodayDate();
+    if (range === '1M') d.setMonth(d.getMonth() - 1);
+    else if (range === '3M') d.setMonth(d.getMonth() - 3);
+    else if (range === '1Y') d.setFullYear(d.getFullYear() - 1);
+    else return null;
+    return d.toLocaleDateString('en-CA');
+}
 
-    globalChart = new Chart(ctx, {
-        type: 'line',
-        data: {
-            labels,
-            datasets: [{
+function getBucketKey(dateStr, unit) {
+    if (unit === 'month') return dateStr.slice(0, 7);
+    if (unit === 'week') {
+        // Weeks start on Monday
+        const d = new Date(dateStr + 'T00:00:00');
+        d.setDate(d.getDate() - ((d.getDay() + 6) % 7));
+        return d.toLocaleDateString('en-CA');
+    }
+    return dateStr;
+}
+
+// Reduces a running-balance series to one point per day, week or month for the selected range
+function aggregateHistory(series, currentValue) {
+    const start = getRangeStart(historyRange);
+    const inRange = series.filter(p => !start || p.date >= start);
+    inRange.push({ date: getTodayStr(), value: currentValue });
+
+    const spanDays = (new Date(inRange[inRange.length - 1].date) - new Date(inRange[0].date)) / 86400000;
+    let unit = 'day';
+    if (historyRange === '3M' || (historyRange === 'all' && spanDays > 62)) unit = 'week';
+    if (historyRange === '1Y' || (historyRange === 'all' && spanDays > 366)) unit = 'month';
+
+    // Balances are cumulative, so each bucket keeps its last value
+    const buckets = new Map();
+    inRange.forEach(p => buckets.set(getBucketKey(p.date, unit), p));
+    const points = [...buckets.values()].map(p => ({
+        x: new Date(p.date + 'T00:00:00').getTime(),
+        y: p.value
+    }));
+    return { points, unit };
+}
+
+function dateAxis(unit, ticks = {}) {
+    const format = unit === 'month' ? { month: 'short', year: '2-digit' } : { month: 'short', day: 'numeric' };
+    return {
+        type: 'linear',
+        ticks: {
+            ...ticks,
+            callback: (value) => new Date(value).toLocaleDateString(undefined, format)
+        },
+        grid: { display: false }
+    };
+}
+
+function renderRangeSelectors() {
+    document.querySelectorAll('.range-btn').forEach(b => b.classList.toggle('active', b.dataset.range === historyRange));
+}
+
+function renderGlobalReports() {
+    document.getElementById('total-savings-amount').innerText = formatMoney(state.totalSavings);
+    
+    const ctx = document.getElementById('savings-chart');
+    if (globalChart) globalChart.destroy();
+    
+    const { points, unit } = aggregateHistory(state.history.map(h => ({ date: h.date, value: h.savings })), state.totalSavings);
+
+    globalChart = new Chart(ctx, {
+        type: 'line',
+        data: {
+            datasets: [{
                 label: 'Savings Trend',
-                data,
+                data: points,
                 borderColor: '#2ecc71',
                 tension: 0.3,
                 fill: true,
                 backgroundColor: 'rgba(46, 204, 113, 0.1)'
             }]
         },
-        options: { maintainAspectRatio: false, plugins: { legend: { display: false } } }
+        options: {
+            maintainAspectRatio: false,
+            plugins: { legend: { display: false } },
+            scales: { x: dateAxis(unit, { maxTicksLimit: 6 }) }
+        }
     });
 
+    renderAllocationChart();
+
     const list = document.getElementById('global-reports-list');
-    list.innerHTML = state.plans.map(p => `
+    setHtml(list, state.plans.map(p => html`
         <div class="card">
             <div style="display:flex; justify-content:space-between">
                 <strong>${p.name}</strong>
-                <span>₱${(p.totalSaved || 0).toFixed(2)}</span>
+                <span>${formatMoney(p.totalSaved || 0)}</span>
             </div>
             <div class="progress-container">
                 <div class="progress-bar" style="width: ${p.goal ? (p.totalSaved / p.goal * 100) : 0}%"></div>
             </div>
         </div>
-    `).join('');
+    `));
+}
+
+function renderAllocationChart() {
+    const from = getRangeStart(historyRange);
+    const allocations = state.allocations.filter(a => !from || a.date >= from);
+    document.getElementById('allocation-chart-empty').classList.toggle('hidden', allocations.length > 0);
+
+    // Dates on the x axis, one stacked bar segment per plan
+    const dates = [...new Set(allocations.map(a => a.date))].sort();
+    const planIds = [...new Set(allocations.flatMap(a => a.shares.map(s => s.planId)))];
+    const datasets = planIds.map((id, i) => {
+        const plan = state.plans.find(p => p.id === id);
+        return {
+            label: plan ? plan.name : 'Deleted plan',
+            data: dates.map(date => allocations
+                .filter(a => a.date === date)
+                .flatMap(a => a.shares)
+                .filter(s => s.planId === id)
+                .reduce((sum, s) => sum + s.allowance, 0)),
+            backgroundColor: CATEGORY_COLORS[i % CATEGORY_COLORS.length]
+        };
+    });
+
+    const ctx = document.getElementById('allocation-chart');
+    if (allocationChart) allocationChart.destroy();
+    allocationChart = new Chart(ctx, {
+        type: 'bar',
+        data: { labels: dates, datasets },
+        options: {
+            maintainAspectRatio: false,
+            plugins: {
+                legend: { position: 'bottom', labels: { boxWidth: 10, font: { size: 10 } } },
+                tooltip: { callbacks: { label: (c) => `${c.dataset.label}: ${formatMoney(c.parsed.y)}` } }
+            },
+            scales: { x: { stacked: true, ticks: { maxTicksLimit: 6 } }, y: { stacked: true } }
+        }
+    });
+}
+
+// --- What-If Simulator ---
+function openSimulator(source) {
+    const plan = source === 'plan' ? state.plans.find(p => p.id === currentPlanId) : null;
+    const field = (id) => document.getElementById(id).value;
+    const useEnd = plan ? document.getElementById('toggle-use-end-date').checked : document.getElementById('new-plan-use-end').checked;
+
+    simContext = { source, exclusions: plan ? plan.exclusions.map(ex => ({ ...ex })) : [] };
+    document.getElementById('sim-goal').value = plan ? field('edit-goal') : field('new-plan-goal');
+    document.getElementById('sim-saved').value = plan ? (plan.totalSaved || 0) : '';
+    document.getElementById('sim-start').value = plan ? field('edit-start-date') : field('new-plan-start');
+    document.getElementById('sim-end').value = useEnd ? (plan ? field('edit-end-date') : field('new-plan-end')) : '';
+
+    const lastDay = plan ? plan.history.filter(h => h.type === 'day').pop() : null;
+    document.getElementById('sim-allowance').value = plan && plan.dayActive ? plan.dailyAllowance : (lastDay ? lastDay.allowance : '');
+    document.getElementById('sim-context').innerText = plan
+        ? `Uses ${plan.name}'s active days, holiday setting and target strategy. Leave the end date blank to simulate without one.`
+        : 'Uses Mon-Fri and the standard target rules. Leave the end date blank to simulate without one.';
+
+    document.getElementById('sim-result').classList.add('hidden');
+    renderSimExclusions();
+    document.getElementById('sim-modal').classList.remove('hidden');
+}
+
+function renderSimExclusions() {
+    setHtml(document.getElementById('sim-exclusions'), simContext.exclusions.map((ex, idx) => html`
+        <div class="exclusion-item">
+            <span>${ex.start} to ${ex.end}</span>
+            <button class="btn-del-excl" data-action="delete-sim-exclusion" data-index="${idx}"><i data-lucide="trash-2" size="14"></i></button>
+        </div>
+    `));
+    lucide.createIcons();
+}
+
+function runSimulation() {
+    const goal = parseFloat(document.getElementById('sim-goal').value) || 0;
+    const saved = parseFloat(document.getElementById('sim-saved').value) || 0;
+    const start = document.getElementById('sim-start').value;
+    const end = document.getElementById('sim-end').value;
+    const allowance = parseFloat(document.getElementById('sim-allowance').value) || 0;
+
+    if (goal <= 0) return alert('Enter a goal to simulate');
+    if (!start) return alert('Enter a start date');
+    if (end && end < start) return alert('The end date is before the start date');
+    if (allowance <= 0) return alert('Enter the allowance you expect per day');
+
+    const plan = simContext.source === 'plan' ? state.plans.find(p => p.id === currentPlanId) : null;
+    const draft = {
+        startDate: start,
+        endDate: end || null,
+        useEndDate: !!end,
+        goal,
+        totalSaved: saved,
+        exclusions: simContext.exclusions,
+        activeDays: plan ? plan.activeDays : [...DEFAULT_ACTIVE_DAYS],
+        useHolidays: plan ? plan.useHolidays : false,
+        targetStrategy: plan ? plan.targetStrategy : { ...DEFAULT_TARGET_STRATEGY },
+        manualSavingsMode: false,
+        penaltyDebt: 0,
+        includeDebtInTarget: false
+    };
+
+    // Existing plans are simulated from today; earlier days are already in "Already Saved"
+    const today = getTodayStr();
+    const from = start > today ? start : today;
+    const points = simulatePlan(draft, allowance, from);
+    const earliest = findEarliestEndDate(draft, allowance, from);
+    const reached = points.length > 0 && points[points.length - 1].saved >= goal - 0.005;
+    const facts = [];
+    let verdict;
+    let tone;
+
+    if (saved >= goal) {
+        verdict = 'The goal is already met.';
+        tone = 'ok';
+    } else if (end) {
+        const days = countCalculationDays(from, end, getPlanExclusions(draft), draft.activeDays);
+        const maxPossible = saved + allowance * days;
+        if (maxPossible < goal - 0.005) {
+            verdict = `Not reachable by ${end}: even saving every ${getCurrencyUnitName()} of allowance only gets you to ${formatMoney(maxPossible)}.`;
+            tone = 'bad';
+        } else if (!reached) {
+            const last = points.length > 0 ? points[points.length - 1].saved : saved;
+            verdict = `Reachable, but this strategy ends ${formatMoney(goal - last)} short. Try another strategy or a later end date.`;
+            tone = 'warn';
+        } else {
+            verdict = `Reachable by ${end}.`;
+            tone = 'ok';
+        }
+        facts.push(`${days} saving day(s) from ${from} to ${end}`);
+    } else {
+        // Without an end date the projection follows the no-deadline share of the allowance
+        const firstTarget = points.length > 0 ? points[0].target : 0;
+        const projected = calculateProjectedEndDate({ ...draft, dailySavingsGoal: firstTarget }, new Date(addDays(from, -1) + 'T00:00:00'));
+        verdict = reached || projected ? `Projected to finish around ${projected}.` : 'Not reachable with these targets.';
+        tone = reached || projected ? 'ok' : 'bad';
+    }
+
+    if (points.length > 0) {
+        const targets = points.map(p => p.target);
+        facts.push(`Daily target from ${formatMoney(targets[0])} to ${formatMoney(targets[targets.length - 1])}, peak ${formatMoney(Math.max(...targets))}`);
+    }
+    facts.push(earliest
+        ? `Earliest possible finish, saving your whole allowance: ${earliest}`
+        : 'The goal can\'t be reached within three years on this allowance.');
+
+    const verdictEl = document.getElementById('sim-verdict');
+    verdictEl.innerText = verdict;
+    verdictEl.className = `sim-verdict ${tone}`;
+    setHtml(document.getElementById('sim-facts'), facts.map(f => html`<li>${f}</li>`));
+    document.getElementById('sim-result').classList.remove('hidden');
+    renderSimChart(points, goal);
+}
+
+function renderSimChart(points, goal) {
+    const ctx = document.getElementById('sim-chart');
+    if (simChart) simChart.destroy();
+    const toX = (date) => new Date(date + 'T00:00:00').getTime();
+    simChart = new Chart(ctx, {
+        type: 'line',
+        data: {
+            datasets: [
+                { label: 'Daily Target', data: points.map(p => ({ x: toX(p.date), y: p.target })), borderColor: '#00bcd4', pointRadius: 0, borderWidth: 2, yAxisID: 'y' },
+                { label: 'Saved', data: points.map(p => ({ x: toX(p.date), y: Math.min(p.saved, goal) })), borderColor: '#2ecc71', pointRadius: 0, borderWidth: 2, yAxisID: 'y1' }
+            ]
+        },
+        options: {
+            maintainAspectRatio: false,
+            plugins: { legend: { position: 'bottom', labels: { boxWidth: 10, font: { size: 10 } } } },
+            scales: {
+                x: dateAxis('day', { font: { size: 9 }, maxTicksLimit: 4 }),
+                y: { beginAtZero: true, ticks: { font: { size: 9 } } },
+                y1: { beginAtZero: true, position: 'right', grid: { drawOnChartArea: false }, ticks: { font: { size: 9 } } }
+            }
+        }
+    });
+}
+
+function applySimulation() {
+    const goal = document.getElementById('sim-goal').value;
+    const start = document.getElementById('sim-start').value;
+    const end = document.getElementById('sim-end').value;
+
+    if (simContext.source === 'plan') {
+        document.getElementById('edit-goal').value = goal;
+        document.getElementById('edit-start-date').value = start;
+        document.getElementById('edit-end-date').value = end;
+        document.getElementById('toggle-use-end-date').checked = !!end;
+        document.getElementById('edit-end-date-group').classList.toggle('hidden', !end);
+    } else {
+        document.getElementById('new-plan-goal').value = goal;
+        document.getElementById('new-plan-start').value = start;
+        document.getElementById('new-plan-end').value = end;
+        document.getElementById('new-plan-use-end').checked = !!end;
+        document.getElementById('new-plan-end-group').classList.toggle('hidden', !end);
+    }
+    document.getElementById('sim-modal').classList.add('hidden');
+}
+
+// --- Profiles ---
+function getInitial(profile) {
+    return profile.name.charAt(0).toUpperCase();
+}
+
+function paintAvatar(el, profile) {
+    el.innerText = getInitial(profile);
+    el.style.background = profile.color;
+}
+
+function renderProfiles() {
+    const active = Profiles.getActive();
+    setHtml(document.getElementById('profile-list'), Profiles.list().map(p => html`
+        <div class="profile-row ${p.id === active.id ? 'current' : ''}" data-action="switch-profile" data-id="${p.id}">
+            <span class="profile-avatar" style="background: ${p.color}">${getInitial(p)}</span>
+            <strong>${p.name}</strong>
+            ${p.pin ? html`<i data-lucide="lock" size="14"></i>` : ''}
+            ${p.id === active.id
+                ? html`<small>Open</small>`
+                : html`<button class="btn-del-excl" data-action="delete-profile" data-id="${p.id}"><i data-lucide="trash-2" size="14"></i></button>`}
+        </div>
+    `));
+    document.getElementById('profile-name').value = active.name;
+    document.getElementById('profile-color').value = active.color;
+    document.getElementById('profile-pin').value = '';
+    document.getElementById('set-pin-btn').innerText = active.pin ? 'Change PIN' : 'Set PIN';
+    document.getElementById('remove-pin-btn').classList.toggle('hidden', !active.pin);
+    document.getElementById('new-profile-name').value = '';
+    document.getElementById('new-profile-color').value = PROFILE_COLORS[Profiles.list().length % PROFILE_COLORS.length];
+    paintAvatar(document.getElementById('profile-btn'), active);
+    lucide.createIcons();
+}
+
+// Resolves with the profile once its PIN is entered, or null if cancelled.
+// On start (switchable) the other profiles can be picked instead.
+function showProfileLock(profile, { switchable = false } = {}) {
+    const overlay = document.getElementById('profile-lock');
+    const input = document.getElementById('profile-lock-pin');
+    const error = document.getElementById('profile-lock-error');
+    let target = profile;
+
+    return new Promise(resolve => {
+        const finish = (result) => {
+            overlay.classList.add('hidden');
+            resolve(result);
+        };
+        const render = () => {
+            paintAvatar(document.getElementById('profile-lock-avatar'), target);
+            document.getElementById('profile-lock-name').innerText = target.name;
+            input.value = '';
+            error.classList.add('hidden');
+            setHtml(document.getElementById('profile-lock-others'), switchable
+                ? Profiles.list().filter(p => p.id !== target.id).map(p => html`
+                    <button data-profile="${p.id}"><span class="profile-avatar" style="background: ${p.color}">${getInitial(p)}</span>${p.name}</button>
+                `)
+                : []);
+        };
+
+        document.getElementById('profile-lock-others').onclick = (e) => {
+            const chip = e.target.closest('[data-profile]');
+            if (!chip) return;
+            target = Profiles.get(chip.dataset.profile);
+            if (!target.pin) return finish(target);
+            render();
+        };
+        document.getElementById('profile-lock-btn').onclick = async () => {
+            if (await Profiles.verifyPin(target.id, input.value)) return finish(target);
+            input.value = '';
+            error.classList.remove('hidden');
+        };
+        input.onkeydown = (e) => {
+            if (e.key === 'Enter') document.getElementById('profile-lock-btn').click();
+        };
+        document.getElementById('profile-lock-cancel').classList.toggle('hidden', switchable);
+        document.getElementById('profile-lock-cancel').onclick = () => finish(null);
+
+        render();
+        overlay.classList.remove('hidden');
+        input.focus();
+    });
+}
+
+async function switchProfile(id) {
+    if (id === Profiles.getActive().id) return;
+    const profile = Profiles.get(id);
+    if (profile.pin && !await showProfileLock(profile)) return;
+    Profiles.open(id);
+    // Encrypted saves finish asynchronously; reloading first would drop the last edit
+    await Store.flush();
+    // A fresh start gives the other profile its own store, reminders and undo history
+    window.location.reload();
+}
+
+async function deleteProfile(id) {
+    const profile = Profiles.get(id);
+    if (!confirm(`Delete ${profile.name}'s profile and all of their plans on this device? This cannot be undone.`)) return;
+    if (profile.pin && !await showProfileLock(profile)) return;
+    try {
+        await Profiles.remove(id);
+    } catch (e) {
+        console.error('Deleting profile failed', e);
+        return alert('The profile could not be deleted. Close BaonBuddy in other tabs and try again.');
+    }
+    postToWorker({ type: 'reminders', profileId: id, reminders: [] });
+    renderProfiles();
+}
+
+// --- Undo ---
+// Destructive actions record how to put back exactly what they removed (undo) and
+// how to remove it again (redo). Both work on the current state, so anything done
+// in between is kept. The toast offers the latest of each.
+const UNDO_LIMIT = 10;
+const UNDO_TOAST_MS = 6000;
+
+function recordUndo(label, undo, redo) {
+    undoStack.push({ label, undo, redo });
+    if (undoStack.length > UNDO_LIMIT) undoStack.shift();
+    redoStack = [];
+    showUndoToast(label);
+}
+
+function clearUndoHistory() {
+    undoStack = [];
+    redoStack = [];
+}
+
+function showUndoToast(message) {
+    const toast = document.getElementById('undo-toast');
+    document.getElementById('undo-msg').innerText = message;
+    document.getElementById('undo-btn').classList.toggle('hidden', undoStack.length === 0);
+    document.getElementById('redo-btn').classList.toggle('hidden', redoStack.length === 0);
+    toast.classList.remove('hidden');
+    clearTimeout(undoTimer);
+    undoTimer = setTimeout(() => toast.classList.add('hidden'), UNDO_TOAST_MS);
+}
+
+function undoLast() {
+    const entry = undoStack.pop();
+    if (!entry) return;
+    entry.undo();
+    redoStack.push(entry);
+    saveState();
+    renderAfterUndo();
+    showUndoToast(`Undone: ${entry.label}`);
+}
+
+function redoLast() {
+    const entry = redoStack.pop();
+    if (!entry) return;
+    entry.redo();
+    undoStack.push(entry);
+    saveState();
+    renderAfterUndo();
+    showUndoToast(entry.label);
+}
+
+// Puts an item back where it was, or at the end if the list has shrunk since
+function reinsert(list, idx, item) {
+    list.splice(Math.min(idx, list.length), 0, item);
+}
+
+function removeItem(list, item) {
+    const idx = list.indexOf(item);
+    if (idx !== -1) list.splice(idx, 1);
+}
+
+// Redraws whatever is on screen from the restored state
+function renderAfterUndo() {
+    const screen = document.querySelector('.screen.active').id;
+    if (screen !== 'plan-detail-screen') return showScreen(screen);
+    if (!state.plans.some(p => p.id === currentPlanId)) return showScreen('home-screen');
+
+    const tab = document.querySelector('.tab-btn.active').dataset.tab;
+    openPlanHub(currentPlanId);
+    switchTab(tab);
+}
+
+// --- Backup & Restore ---
+function downloadFile(content, filename, type) {
+    const url = URL.createObjectURL(new Blob([content], { type }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    URL.revokeObjectURL(url);
+}
+
+// --- Encryption ---
+// One dialog for every passphrase prompt. With isNew it asks twice and checks the
+// length; resolves the passphrase, or null when cancelled.
+function askPassphrase({ title, message, okText = 'OK', isNew = false, error = null, cancelText = 'Cancel', confirmCancel = null }) {
+    const overlay = document.getElementById('passphrase-modal');
+    const input = document.getElementById('passphrase-input');
+    const repeat = document.getElementById('passphrase-repeat');
+    const errorEl = document.getElementById('passphrase-error');
+
+    return new Promise(resolve => {
+        const finish = (result) => {
+            input.value = '';
+            repeat.value = '';
+            overlay.classList.add('hidden');
+            resolve(result);
+        };
+        const showError = (text) => {
+            errorEl.innerText = text || '';
+            errorEl.classList.toggle('hidden', !text);
+        };
+
+        document.getElementById('passphrase-title').innerText = title;
+        document.getElementById('passphrase-msg').innerText = message;
+        document.getElementById('passphrase-ok').innerText = okText;
+        document.getElementById('passphrase-cancel').innerText = cancelText;
+        input.autocomplete = isNew ? 'new-password' : 'current-password';
+        repeat.classList.toggle('hidden', !isNew);
+        showError(error);
+
+        document.getElementById('passphrase-ok').onclick = () => {
+            if (!input.value) return showError('Enter a passphrase.');
+            if (isNew && input.value.length < MIN_PASSPHRASE_LENGTH) return showError(`Use at least ${MIN_PASSPHRASE_LENGTH} characters.`);
+            if (isNew && input.value !== repeat.value) return showError('The passphrases do not match.');
+            finish(input.value);
+        };
+        input.onkeydown = repeat.onkeydown = (e) => {
+            if (e.key === 'Enter') document.getElementById('passphrase-ok').click();
+        };
+        document.getElementById('passphrase-cancel').onclick = () => {
+            if (confirmCancel && !confirm(confirmCancel)) return;
+            finish(null);
+        };
+
+        overlay.classList.remove('hidden');
+        input.focus();
+    });
+}
+
+// Asks again, showing the error, until attempt(passphrase) succeeds; null when cancelled
+async function askPassphraseUntil(options, attempt) {
+    let error = null;
+    for (;;) {
+        const passphrase = await askPassphrase({ ...options, error });
+        if (passphrase === null) return null;
+        try {
+            return await attempt(passphrase);
+        } catch (e) {
+            error = e.message;
+        }
+    }
+}
+
+// Used by Store.load when the saved data is encrypted
+function askUnlockPassphrase(error) {
+    return askPassphrase({
+        title: 'Unlock BaonBuddy',
+        message: 'Your data on this device is encrypted. Enter your passphrase to open it.',
+        okText: 'Unlock',
+        error,
+        cancelText: 'Erase Data',
+        confirmCancel: 'Without the passphrase your encrypted data cannot be recovered. Erase it and start over? You can still restore a backup afterwards.'
+    });
+}
+
+function askCurrentPassphrase(title) {
+    return askPassphraseUntil(
+        { title, message: 'Enter your current passphrase.', okText: 'Continue' },
+        async (passphrase) => {
+            await Store.verifyPassphrase(passphrase);
+            return passphrase;
+        }
+    );
+}
+
+function renderEncryption() {
+    const on = Store.isEncrypted();
+    document.getElementById('encryption-status').innerText = on
+        ? 'On: your data is encrypted on this device.'
+        : 'Off: your data is saved unencrypted on this device.';
+    document.getElementById('encryption-toggle-btn').innerText = on ? 'Turn Off Encryption' : 'Turn On Encryption';
+    document.getElementById('change-passphrase-btn').classList.toggle('hidden', !on);
+}
+
+// Rewrites everything on disk, so it reports failures like saveState does
+async function writeEncryption(write, doneMessage) {
+    try {
+        await write();
+    } catch (e) {
+        console.error('Saving failed', e);
+        return alert('Your data could not be saved on this device. Free up some storage and try again.');
+    } finally {
+        renderEncryption();
+        // Reminder text is generic while encrypted
+        syncReminders();
+    }
+    alert(doneMessage);
+}
+
+async function toggleEncryption() {
+    if (Store.isEncrypted()) {
+        if (await askCurrentPassphrase('Turn Off Encryption') === null) return;
+        return writeEncryption(() => Store.disableEncryption(state), 'Encryption is off. Your data is saved unencrypted on this device.');
+    }
+    const passphrase = await askPassphrase({
+        title: 'Turn On Encryption',
+        message: 'Choose a passphrase. Write it down somewhere safe: if you forget it, your data cannot be recovered.',
+        okText: 'Encrypt',
+        isNew: true
+    });
+    if (passphrase === null) return;
+    await writeEncryption(() => Store.enableEncryption(state, passphrase), 'Encryption is on. BaonBuddy will ask for your passphrase each time it opens.');
+}
+
+// Re-keying encrypts everything again under a new salt and passphrase
+async function changePassphrase() {
+    if (await askCurrentPassphrase('Change Passphrase') === null) return;
+    const passphrase = await askPassphrase({
+        title: 'Change Passphrase',
+        message: 'Choose a new passphrase. The old one will no longer open your data.',
+        okText: 'Change',
+        isNew: true
+    });
+    if (passphrase === null) return;
+    await writeEncryption(() => Store.enableEncryption(state, passphrase), 'Passphrase changed.');
+}
+
+async function exportEncryptedBackup() {
+    const passphrase = await askPassphrase({
+        title: 'Encrypted Backup',
+        message: 'Choose a passphrase for this file. It is needed to import the backup and can differ from your app passphrase.',
+        okText: 'Export',
+        isNew: true
+    });
+    if (passphrase === null) return;
+    const backup = await Store.createEncryptedBackup(state, passphrase);
+    downloadFile(JSON.stringify(backup, null, 2), `baonbuddy-backup-${getTodayStr()}-encrypted.json`, 'application/json');
+}
+
+function decryptImport(backup) {
+    return askPassphraseUntil(
+        { title: 'Encrypted Backup', message: 'Enter the passphrase this backup was exported with.', okText: 'Decrypt' },
+        (passphrase) => Store.decryptBackup(backup, passphrase)
+    );
+}
+
+// --- CSV Export ---
+function csvCell(value) {
+    if (value === null || value === undefined) return '';
+    if (typeof value === 'number') return value.toFixed(state.settings.currency.decimals);
+    let text = String(value);
+    // Spreadsheets treat cells starting with these as formulas
+    if (/^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+    if (/[",\r\n]/.test(text)) text = `"${text.replace(/"/g, '""')}"`;
+    return text;
+}
+
+function toCsv(header, rows) {
+    // BOM so Excel reads names and symbols as UTF-8
+    return '\ufeff' + [header, ...rows].map(row => row.map(csvCell).join(',')).join('\r\n');
+}
+
+function exportDaysCsv(plans, scope) {
+    const code = state.settings.currency.code;
+    const rows = [];
+    plans.forEach(plan => {
+        plan.history
+            .filter(h => !h.type || h.type === 'day' || h.type === 'missed')
+            .forEach(h => rows.push([
+                plan.name, h.date, h.type === 'missed' ? 'Missed' : 'Closed',
+                h.allowance, h.target, h.spent, h.saved, h.penalty, h.repaid, h.totalSaved
+            ]));
+    });
+    rows.sort((a, b) => a[1].localeCompare(b[1]));
+
+    const header = ['Plan', 'Date', 'Status', `Allowance (${code})`, `Target (${code})`, `Spent (${code})`,
+        `Actual Saved (${code})`, `Penalty Added (${code})`, `Debt Repaid (${code})`, `Running Total (${code})`];
+    downloadFile(toCsv(header, rows), `baonbuddy-${scope}-days-${getTodayStr()}.csv`, 'text/csv');
+}
+
+function exportPurchasesCsv(plans, scope) {
+    const code = state.settings.currency.code;
+    const names = new Map(plans.map(p => [p.id, p.name]));
+    const rows = state.transactions
+        .filter(t => names.has(t.planId))
+        .sort((a, b) => a.timestamp - b.timestamp)
+        .map(t => [
+            names.get(t.planId), t.date,
+            new Date(t.timestamp).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit', timeZone: state.settings.timeZone }),
+            t.label, t.source === 'product' ? 'Product' : 'Other', getCategoryName(t.category), t.amount
+        ]);
+
+    const header = ['Plan', 'Date', 'Time', 'Item', 'Type', 'Category', `Amount (${code})`];
+    downloadFile(toCsv(header, rows), `baonbuddy-${scope}-purchases-${getTodayStr()}.csv`, 'text/csv');
+}
+
+function getFileSlug(name) {
+    return name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'plan';
+}
+
+function exportBackup() {
+    if (Store.isEncrypted() && !confirm('Your data is encrypted on this device, but this backup file will not be. Export it unencrypted anyway?')) return;
+    const backup = Store.createBackup(state);
+    downloadFile(JSON.stringify(backup, null, 2), `baonbuddy-backup-${getTodayStr()}.json`, 'application/json');
+}
+
+function previewImport(backup) {
+    pendingImport = backup;
+    const data = backup.data;
+    const exported = backup.exportedAt ? new Date(backup.exportedAt).toLocaleString() : 'an unknown date';
+    const overlapping = data.plans.filter(p => state.plans.some(cur => cur.id === p.id)).length;
+
+    document.getElementById('import-summary').innerText = `Backup from ${exported}`;
+    setHtml(document.getElementById('import-details'), html`
+        <li><strong>${data.plans.length}</strong> plan(s) in backup, <strong>${overlapping}</strong> already on this device</li>
+        <li><strong>${data.transactions.length}</strong> purchase(s), <strong>${data.history.length}</strong> history point(s)</li>
+        <li><strong>Replace</strong> deletes your ${state.plans.length} current plan(s). <strong>Merge</strong> keeps them and overwrites matching plans.</li>
+    `);
+    document.getElementById('import-modal').classList.remove('hidden');
+}
+
+function applyImport(mode) {
+    const data = pendingImport.data;
+    // Undo entries point at plans and lists an import may replace
+    clearUndoHistory();
+
+    if (mode === 'replace') {
+        state = { ...data, tosAgreed: true };
+        moneyFormatter = null;
+        applyCurrencyLabels();
+    } else {
+        // Bring both sides to today first, so a day left open in the backup is
+        // closed on its own date with its own purchases
+        checkDailyReset();
+        Engine.settleDays(data, state.lastLoginDate);
+
+        const replaced = state.plans.filter(p => data.plans.some(imp => imp.id === p.id));
+        const savedDelta = data.plans.reduce((sum, p) => sum + (p.totalSaved || 0), 0)
+            - replaced.reduce((sum, p) => sum + (p.totalSaved || 0), 0);
+
+        state.plans = [...state.plans.filter(p => !replaced.includes(p)), ...data.plans];
+
+        const importedTx = data.transactions;
+        state.transactions = [...state.transactions.filter(t => !importedTx.some(imp => imp.id === t.id)), ...importedTx];
+
+        const knownDates = new Set(state.history.map(h => h.date));
+        state.history.push(...data.history.filter(h => !knownDates.has(h.date)));
+        // Charts and pushGlobalHistory expect date order
+        state.history.sort((a, b) => a.date.localeCompare(b.date));
+
+        // Imported purchases and breaks refer to these by id; entries already here win
+        const knownCategories = new Set(state.customCategories.map(c => c.id));
+        state.customCategories.push(...data.customCategories.filter(c => !knownCategories.has(c.id)));
+        const knownBreaks = new Set(state.schoolBreaks.map(b => b.id));
+        state.schoolBreaks.push(...data.schoolBreaks.filter(b => !knownBreaks.has(b.id)));
+
+        state.totalSavings += savedDelta;
+    }
+
+    pendingImport = null;
+    checkDailyReset();
+    updatePlanLifecycles();
+    saveState();
+    document.getElementById('import-modal').classList.add('hidden');
+    alert(mode === 'replace' ? 'Backup restored' : 'Backup merged');
+    showScreen('home-screen');
 }
 
 // --- Event Handlers ---
 function setupEvents() {
+    // Delegated handlers for rendered lists (see List Actions)
+    document.addEventListener('click', (e) => {
+        const el = e.target.closest('[data-action]');
+        if (el && !el.disabled && CLICK_ACTIONS[el.dataset.action]) CLICK_ACTIONS[el.dataset.action](el.dataset);
+    });
+    document.addEventListener('change', (e) => {
+        const el = e.target.closest('[data-change]');
+        if (el && CHANGE_ACTIONS[el.dataset.change]) CHANGE_ACTIONS[el.dataset.change](el.dataset, el.value);
+    });
+
     document.getElementById('agree-tos-btn').onclick = () => {
         state.tosAgreed = true;
         saveState();
@@ -548,6 +1872,15 @@ function setupEvents() {
 
     document.getElementById('back-to-home').onclick = () => showScreen('home-screen');
 
+    document.querySelectorAll('.range-btn').forEach(b => {
+        b.onclick = () => {
+            historyRange = b.dataset.range;
+            renderRangeSelectors();
+            if (document.getElementById('reports-screen').classList.contains('active')) renderGlobalReports();
+            else renderPlanReports();
+        };
+    });
+
     // Create Plan
     document.getElementById('add-plan-btn').onclick = () => {
         document.getElementById('plan-modal').classList.remove('hidden');
@@ -572,8 +1905,14 @@ function setupEvents() {
             name, startDate: start, endDate: end, 
             useEndDate: useEnd,
             goal: goal || 0,
-            products: [], totalSaved: 0, totalSpent: 0, penaltyDebt: 0,
+            products: [], exclusions: [], totalSaved: 0, totalSpent: 0, penaltyDebt: 0,
             estimateMode: true, manualSavingsMode: false, penaltyMode: true,
+            missedDayPolicy: 'none', missedDayPenalty: 0,
+            activeDays: [...DEFAULT_ACTIVE_DAYS], useHolidays: false, categoryBudgets: {},
+            debtLog: [], autoRepayDebt: false, includeDebtInTarget: false,
+            inPool: false, poolPriority: state.plans.length + 1, poolPercent: 0,
+            status: 'active', completedDate: null, allowanceSchedule: {}, remindersEnabled: true,
+            targetStrategy: { ...DEFAULT_TARGET_STRATEGY },
             dayActive: false, history: []
         };
         state.plans.push(newPlan);
@@ -582,18 +1921,52 @@ function setupEvents() {
         document.getElementById('plan-modal').classList.add('hidden');
     };
 
+    // What-If Simulator
+    document.getElementById('simulate-new-plan').onclick = () => openSimulator('new');
+    document.getElementById('simulate-plan-btn').onclick = () => openSimulator('plan');
+    document.getElementById('sim-run-btn').onclick = runSimulation;
+    document.getElementById('sim-apply-btn').onclick = applySimulation;
+    document.getElementById('close-sim-modal').onclick = () => document.getElementById('sim-modal').classList.add('hidden');
+    document.getElementById('sim-add-excl').onclick = () => {
+        const start = document.getElementById('sim-excl-start').value;
+        const end = document.getElementById('sim-excl-end').value;
+        if (!start || !end || end < start) return alert('Pick a valid date range');
+        simContext.exclusions.push({ start, end });
+        document.getElementById('sim-excl-start').value = '';
+        document.getElementById('sim-excl-end').value = '';
+        renderSimExclusions();
+    };
+
     // Update Plan
     document.getElementById('update-plan-btn').onclick = () => {
         const plan = state.plans.find(p => p.id === currentPlanId);
+        const activeDays = [...document.querySelectorAll('#active-days input:checked')].map(cb => parseInt(cb.value, 10));
+        if (activeDays.length === 0) return alert('Pick at least one active day');
+
+        plan.activeDays = activeDays;
+        plan.allowanceSchedule = {};
+        document.querySelectorAll('#allowance-schedule input').forEach(input => {
+            if (input.value !== '') plan.allowanceSchedule[input.dataset.day] = Math.max(0, parseFloat(input.value) || 0);
+        });
         plan.name = document.getElementById('edit-plan-name').value;
         plan.startDate = document.getElementById('edit-start-date').value;
         plan.useEndDate = document.getElementById('toggle-use-end-date').checked;
         plan.endDate = plan.useEndDate ? document.getElementById('edit-end-date').value : null;
         plan.goal = parseFloat(document.getElementById('edit-goal').value) || 0;
+        plan.poolPriority = parseInt(document.getElementById('edit-pool-priority').value, 10) || 1;
+        plan.poolPercent = Math.min(100, Math.max(0, parseFloat(document.getElementById('edit-pool-percent').value) || 0));
+
+        // A raised goal or later end date reopens a completed plan
+        if (plan.status === 'completed' && !isGoalMet(plan) && !hasPlanEnded(plan)) {
+            plan.status = 'active';
+            plan.completedDate = null;
+        }
+        updatePlanLifecycles();
         
         refreshPlanTarget(plan);
         saveState();
         updatePlanHubUI();
+        renderLifecycleButtons(plan);
         alert('Plan updated');
     };
 
@@ -631,6 +2004,25 @@ function setupEvents() {
         plan.penaltyMode = e.target.checked;
         saveState();
     };
+    document.getElementById('toggle-holidays').onchange = (e) => {
+        const plan = state.plans.find(p => p.id === currentPlanId);
+        plan.useHolidays = e.target.checked;
+        refreshPlanTarget(plan);
+        saveState();
+        renderExclusions();
+        updatePlanHubUI();
+    };
+    document.getElementById('missed-day-policy').onchange = (e) => {
+        const plan = state.plans.find(p => p.id === currentPlanId);
+        plan.missedDayPolicy = e.target.value;
+        document.getElementById('missed-day-penalty').classList.toggle('hidden', plan.missedDayPolicy !== 'fixed');
+        saveState();
+    };
+    document.getElementById('missed-day-penalty').onchange = (e) => {
+        const plan = state.plans.find(p => p.id === currentPlanId);
+        plan.missedDayPenalty = Math.max(0, parseFloat(e.target.value) || 0);
+        saveState();
+    };
 
     document.getElementById('toggle-use-end-date').onchange = (e) => {
         const plan = state.plans.find(p => p.id === currentPlanId);
@@ -648,19 +2040,8 @@ function setupEvents() {
         if (allowanceInput === "") return alert('Please enter today\'s allowance');
         
         const allowance = parseFloat(allowanceInput) || 0;
-        let target = 0;
-
-        if (plan.manualSavingsMode) {
-            target = parseFloat(document.getElementById('input-manual-savings').value) || 0;
-        } else if (plan.estimateMode) {
-            // Formula updated: includes goal, total savings, and days remaining (M-F)
-            target = calculateRequiredDaily(plan, allowance);
-        }
-
-        plan.dayActive = true;
-        plan.dailyAllowance = allowance;
-        plan.dailySavingsGoal = target;
-        plan.dailySpent = 0;
+        const manualTarget = parseFloat(document.getElementById('input-manual-savings').value) || 0;
+        startPlanDay(plan, allowance, getStartTarget(plan, allowance, manualTarget));
         saveState();
         updatePlanHubUI();
     };
@@ -672,8 +2053,14 @@ function setupEvents() {
         const newVal = prompt("Enter your new total allowance for today:", plan.dailyAllowance);
         if (newVal === null || newVal === "" || isNaN(parseFloat(newVal))) return;
 
-        plan.dailyAllowance = parseFloat(newVal);
-        refreshPlanTarget(plan);
+        const oldAllowance = plan.dailyAllowance;
+        const newAllowance = parseFloat(newVal);
+        const setAllowance = (amount) => () => {
+            plan.dailyAllowance = amount;
+            refreshPlanTarget(plan);
+        };
+        recordUndo('Allowance changed', setAllowance(oldAllowance), setAllowance(newAllowance));
+        setAllowance(newAllowance)();
         
         saveState();
         updatePlanHubUI();
@@ -698,16 +2085,43 @@ function setupEvents() {
         const cost = parseFloat(costInput) || 0;
         if (cost <= 0) return;
 
-        const remaining = plan.dailyAllowance - plan.dailySpent;
-        if (cost > remaining) {
-            if (!confirm('This exceeds your remaining allowance. Continue?')) return;
-        }
-        plan.dailySpent += cost;
+        const label = document.getElementById('other-purchase-label').value.trim() || 'Other Expense';
+        const category = document.getElementById('other-purchase-category').value;
+        if (!recordPurchase(plan, label, cost, 'other', category)) return;
         saveState();
         updatePlanHubUI();
         document.getElementById('other-purchase-amount').value = '';
+        document.getElementById('other-purchase-label').value = '';
     };
 
+    document.getElementById('undo-purchase-btn').onclick = () => {
+        const plan = state.plans.find(p => p.id === currentPlanId);
+        const last = getDayTransactions(plan).sort((a, b) => b.timestamp - a.timestamp)[0];
+        if (!last) return;
+        state.transactions = state.transactions.filter(t => t.id !== last.id);
+        saveState();
+        updatePlanHubUI();
+    };
+
+    // Categories
+    ['prod-category', 'other-purchase-category'].forEach(id => {
+        document.getElementById(id).onchange = (e) => {
+            if (e.target.value !== '__new') return;
+            const name = (prompt('Name for the new category:') || '').trim();
+            if (!name) {
+                e.target.value = OTHER_CATEGORY.id;
+                return;
+            }
+            const existing = getCategories().find(c => c.name.toLowerCase() === name.toLowerCase());
+            const category = existing || { id: `custom-${createId()}`, name };
+            if (!existing) state.customCategories.push(category);
+            saveState();
+            renderCategoryOptions();
+            renderCategoryBudgets();
+            e.target.value = category.id;
+        };
+    });
+
     // Product Modal
     document.getElementById('open-add-product-btn').onclick = () => document.getElementById('product-modal').classList.remove('hidden');
     document.getElementById('close-prod-modal').onclick = () => document.getElementById('product-modal').classList.add('hidden');
@@ -716,7 +2130,7 @@ function setupEvents() {
         const price = parseFloat(document.getElementById('prod-price').value);
         if (!name || isNaN(price)) return;
         const plan = state.plans.find(p => p.id === currentPlanId);
-        plan.products.push({ name, price });
+        plan.products.push({ name, price, category: document.getElementById('prod-category').value });
         saveState();
         renderProducts();
         document.getElementById('product-modal').classList.add('hidden');
@@ -731,8 +2145,8 @@ function setupEvents() {
         if (!start || !end) return alert('Select both dates');
         
         const plan = state.plans.find(p => p.id === currentPlanId);
-        plan.exclusions = plan.exclusions || [];
-        plan.exclusions.push({ start, end });
+        // Stored merged, so the list shows the ranges that actually apply
+        plan.exclusions = mergeExclusions([...plan.exclusions, { start, end }]);
         
         refreshPlanTarget(plan);
         saveState();
@@ -744,58 +2158,559 @@ function setupEvents() {
         document.getElementById('exclusion-modal').classList.add('hidden');
     };
 
+    document.getElementById('undo-btn').onclick = undoLast;
+    document.getElementById('redo-btn').onclick = redoLast;
+
+    // Profiles
+    document.getElementById('profile-btn').onclick = () => {
+        renderProfiles();
+        document.getElementById('profile-modal').classList.remove('hidden');
+    };
+    document.getElementById('close-profile-modal').onclick = () => document.getElementById('profile-modal').classList.add('hidden');
+    document.getElementById('save-profile-btn').onclick = () => {
+        const name = document.getElementById('profile-name').value.trim();
+        if (!name) return alert('Enter a name');
+        Profiles.update(Profiles.getActive().id, { name, color: document.getElementById('profile-color').value });
+        renderProfiles();
+    };
+    document.getElementById('set-pin-btn').onclick = async () => {
+        const pin = document.getElementById('profile-pin').value;
+        if (!/^\d{4,8}$/.test(pin)) return alert('A PIN is 4 to 8 digits');
+        await Profiles.setPin(Profiles.getActive().id, pin);
+        renderProfiles();
+        syncReminders();
+        alert('PIN saved. It will be asked the next time this profile is opened.');
+    };
+    document.getElementById('remove-pin-btn').onclick = async () => {
+        if (!confirm('Remove the PIN from this profile?')) return;
+        await Profiles.setPin(Profiles.getActive().id, null);
+        renderProfiles();
+        syncReminders();
+    };
+    document.getElementById('add-profile-btn').onclick = () => {
+        const name = document.getElementById('new-profile-name').value.trim();
+        if (!name) return alert('Enter a name for the new profile');
+        const profile = Profiles.create(name, document.getElementById('new-profile-color').value);
+        if (confirm(`Switch to ${profile.name} now?`)) switchProfile(profile.id);
+        else renderProfiles();
+    };
+
     // Delete Plan
     document.getElementById('delete-plan-btn').onclick = () => {
         document.getElementById('confirm-title').innerText = "Delete Plan?";
         document.getElementById('confirm-msg').innerText = "This will permanently remove this savings plan and all its data.";
+        document.getElementById('confirm-ok').innerText = "Yes, Delete";
         document.getElementById('confirm-modal').classList.remove('hidden');
         document.getElementById('confirm-ok').onclick = () => {
-            state.plans = state.plans.filter(p => p.id !== currentPlanId);
+            const planId = currentPlanId;
+            const plan = state.plans.find(p => p.id === planId);
+            const planIdx = state.plans.indexOf(plan);
+            const removePlan = () => {
+                state.plans = state.plans.filter(p => p !== plan);
+                state.transactions = state.transactions.filter(t => t.planId !== planId);
+            };
+            const planTransactions = state.transactions.filter(t => t.planId === planId);
+            recordUndo('Plan deleted', () => {
+                reinsert(state.plans, planIdx, plan);
+                state.transactions.push(...planTransactions);
+            }, removePlan);
+            removePlan();
             saveState();
             showScreen('home-screen');
             document.getElementById('confirm-modal').classList.add('hidden');
         };
     };
+
+    // Target Strategy
+    document.getElementById('strategy-form').oninput = renderStrategyPreview;
+    document.getElementById('strategy-type').onchange = renderStrategyPreview;
+    document.getElementById('save-strategy-btn').onclick = () => {
+        const plan = state.plans.find(p => p.id === currentPlanId);
+        const strategy = readStrategyForm();
+        if ([strategy.percent, strategy.indefinitePercent, strategy.boostPercent].some(p => p > 100)) {
+            return alert('Percentages must be between 0 and 100');
+        }
+        plan.targetStrategy = strategy;
+        refreshPlanTarget(plan);
+        saveState();
+        updatePlanHubUI();
+        alert('Strategy applied');
+    };
+
+    // Lifecycle
+    document.getElementById('pause-plan-btn').onclick = () => {
+        const plan = state.plans.find(p => p.id === currentPlanId);
+        plan.status = plan.status === 'paused' ? 'active' : 'paused';
+        if (plan.status === 'paused' && plan.dayActive) {
+            // Today's target goes too, manual or not
+            plan.dailySavingsGoal = 0;
+            plan.dailyDebtShare = 0;
+        }
+        refreshPlanTarget(plan);
+        saveState();
+        renderLifecycleButtons(plan);
+        updatePlanHubUI();
+    };
+    document.getElementById('archive-plan-btn').onclick = () => {
+        const plan = state.plans.find(p => p.id === currentPlanId);
+        if (plan.status === 'archived') {
+            plan.status = plan.completedDate ? 'completed' : 'active';
+        } else {
+            plan.status = 'archived';
+        }
+        saveState();
+        renderLifecycleButtons(plan);
+        updatePlanHubUI();
+    };
+    document.getElementById('complete-keep-btn').onclick = () => {
+        pendingCompletions.shift();
+        document.getElementById('complete-modal').classList.add('hidden');
+        showNextCompletion();
+    };
+    document.getElementById('complete-archive-btn').onclick = () => {
+        const plan = state.plans.find(p => p.id === pendingCompletions.shift());
+        if (plan) plan.status = 'archived';
+        saveState();
+        renderPlans();
+        document.getElementById('complete-modal').classList.add('hidden');
+        showNextCompletion();
+    };
+
+    // Shared Pool
+    document.getElementById('toggle-pool').onchange = (e) => {
+        const plan = state.plans.find(p => p.id === currentPlanId);
+        plan.inPool = e.target.checked;
+        document.getElementById('pool-settings').classList.toggle('hidden', !plan.inPool);
+        saveState();
+        updatePlanHubUI();
+    };
+    document.getElementById('pool-mode').onchange = (e) => {
+        state.pool.mode = e.target.value;
+        saveState();
+        renderPoolCard();
+    };
+    document.getElementById('start-pool-btn').onclick = () => {
+        const input = document.getElementById('input-pool-allowance').value;
+        if (input === "") return alert('Please enter today\'s allowance');
+        const total = parseFloat(input) || 0;
+        const plans = getPoolPlans().filter(p => !p.dayActive);
+        if (plans.length === 0) return alert('All shared plans have already started today.');
+
+        if (state.pool.mode === 'percentage') {
+            const percent = plans.reduce((sum, p) => sum + (p.poolPercent || 0), 0);
+            if (percent > 100) return alert(`Pool shares add up to ${percent}%. Please keep them at 100% or less.`);
+        }
+
+        const shares = allocatePool(total, plans, state.pool.mode);
+        shares.forEach(s => startPlanDay(s.plan, s.allowance, s.target));
+        state.allocations.push({
+            date: state.lastLoginDate,
+            total,
+            mode: state.pool.mode,
+            shares: shares.map(s => ({ planId: s.plan.id, allowance: s.allowance, target: s.target }))
+        });
+        document.getElementById('input-pool-allowance').value = '';
+        saveState();
+        renderPlans();
+    };
+
+    // Withdrawals & Transfers
+    const openMoveModal = (isTransfer) => {
+        const plan = state.plans.find(p => p.id === currentPlanId);
+        const others = state.plans.filter(p => p.id !== plan.id);
+        if (!(plan.totalSaved > 0)) return alert('This plan has no savings to move.');
+        if (isTransfer && others.length === 0) return alert('Create another plan to transfer to.');
+
+        document.getElementById('move-title').innerText = isTransfer ? 'Transfer Savings' : 'Withdraw Savings';
+        document.getElementById('save-move-btn').innerText = isTransfer ? 'Transfer' : 'Withdraw';
+        document.getElementById('move-available').innerText = `Available: ${formatMoney(plan.totalSaved)}`;
+        document.getElementById('move-target-group').classList.toggle('hidden', !isTransfer);
+        setHtml(document.getElementById('move-target'), others.map(p => html`<option value="${p.id}">${p.name}</option>`));
+        document.getElementById('move-amount').value = '';
+        document.getElementById('move-note').value = '';
+        document.getElementById('move-modal').dataset.transfer = isTransfer ? '1' : '';
+        document.getElementById('move-modal').classList.remove('hidden');
+    };
+    document.getElementById('withdraw-btn').onclick = () => openMoveModal(false);
+    document.getElementById('transfer-btn').onclick = () => openMoveModal(true);
+    document.getElementById('close-move-modal').onclick = () => document.getElementById('move-modal').classList.add('hidden');
+    document.getElementById('save-move-btn').onclick = () => {
+        const plan = state.plans.find(p => p.id === currentPlanId);
+        const isTransfer = !!document.getElementById('move-modal').dataset.transfer;
+        const amount = parseFloat(document.getElementById('move-amount').value);
+        const note = document.getElementById('move-note').value.trim();
+
+        if (!(amount > 0)) return alert('Please enter an amount greater than zero.');
+        if (amount > plan.totalSaved) return alert(`You only have ${formatMoney(plan.totalSaved)} saved in this plan.`);
+        if (!note) return alert('Please add a reason.');
+
+        const toPlan = isTransfer ? state.plans.find(p => p.id === document.getElementById('move-target').value) : null;
+        moveSavings(plan, amount, note, toPlan);
+        saveState();
+        updatePlanHubUI();
+        renderPlanReports();
+        document.getElementById('move-modal').classList.add('hidden');
+    };
+
+    // Reminders
+    document.getElementById('toggle-plan-reminders').onchange = (e) => {
+        const plan = state.plans.find(p => p.id === currentPlanId);
+        plan.remindersEnabled = e.target.checked;
+        saveState();
+    };
+    document.getElementById('toggle-reminders').onchange = async (e) => {
+        if (e.target.checked) {
+            if (!('Notification' in window) || !('serviceWorker' in navigator)) {
+                e.target.checked = false;
+                return alert('This browser cannot show notifications.');
+            }
+            const permission = await Notification.requestPermission();
+            if (permission !== 'granted') {
+                e.target.checked = false;
+                return alert('Notifications are blocked. Allow them for BaonBuddy in your browser settings to get reminders.');
+            }
+            registerReminderSync();
+        }
+        state.reminders.enabled = e.target.checked;
+        saveState();
+        renderReminderSettings();
+    };
+    document.getElementById('save-reminders-btn').onclick = () => {
+        state.reminders = {
+            ...state.reminders,
+            allowanceTime: document.getElementById('reminder-allowance-time').value,
+            progressTime: document.getElementById('reminder-progress-time').value,
+            closing: document.getElementById('toggle-closing-reminder').checked,
+            quietStart: document.getElementById('reminder-quiet-start').value,
+            quietEnd: document.getElementById('reminder-quiet-end').value
+        };
+        saveState();
+        alert('Reminders saved');
+    };
+
+    // Debt
+    document.getElementById('toggle-auto-repay').onchange = (e) => {
+        const plan = state.plans.find(p => p.id === currentPlanId);
+        plan.autoRepayDebt = e.target.checked;
+        saveState();
+    };
+    document.getElementById('toggle-debt-target').onchange = (e) => {
+        const plan = state.plans.find(p => p.id === currentPlanId);
+        plan.includeDebtInTarget = e.target.checked;
+        refreshPlanTarget(plan);
+        saveState();
+        updatePlanHubUI();
+    };
+    document.getElementById('repay-debt-btn').onclick = () => {
+        const plan = state.plans.find(p => p.id === currentPlanId);
+        if (!(plan.penaltyDebt > 0)) return alert('This plan has no debt to pay.');
+        const input = prompt(`Amount to put into savings (debt: ${formatMoney(plan.penaltyDebt)}):`, plan.penaltyDebt.toFixed(state.settings.currency.decimals));
+        if (input === null) return;
+        const amount = parseFloat(input);
+        if (!(amount > 0)) return alert('Please enter an amount greater than zero.');
+
+        const paid = repayDebt(plan, amount, state.lastLoginDate, 'Manual payment');
+        plan.totalSaved = (plan.totalSaved || 0) + paid;
+        state.totalSavings += paid;
+        refreshPlanTarget(plan);
+        updatePlanLifecycles();
+        saveState();
+        renderLifecycleButtons(plan);
+        updatePlanHubUI();
+        renderPlanReports();
+    };
+    document.getElementById('forgive-debt-btn').onclick = () => {
+        const plan = state.plans.find(p => p.id === currentPlanId);
+        if (!(plan.penaltyDebt > 0)) return alert('This plan has no debt to forgive.');
+        document.getElementById('confirm-title').innerText = "Forgive Debt?";
+        document.getElementById('confirm-msg').innerText = `This clears ${formatMoney(plan.penaltyDebt)} of debt without adding to your savings.`;
+        document.getElementById('confirm-ok').innerText = "Yes, Forgive";
+        document.getElementById('confirm-modal').classList.remove('hidden');
+        document.getElementById('confirm-ok').onclick = () => {
+            const entry = { date: state.lastLoginDate, type: 'forgiven', amount: plan.penaltyDebt, note: 'Debt forgiven' };
+            const forgive = () => {
+                plan.debtLog.push(entry);
+                plan.penaltyDebt = Math.max(0, plan.penaltyDebt - entry.amount);
+                refreshPlanTarget(plan);
+            };
+            recordUndo('Debt forgiven', () => {
+                removeItem(plan.debtLog, entry);
+                plan.penaltyDebt += entry.amount;
+                refreshPlanTarget(plan);
+            }, forgive);
+            forgive();
+            saveState();
+            updatePlanHubUI();
+            renderPlanReports();
+            document.getElementById('confirm-modal').classList.add('hidden');
+        };
+    };
     document.getElementById('confirm-cancel').onclick = () => document.getElementById('confirm-modal').classList.add('hidden');
+
+    // Region
+    document.getElementById('save-region-btn').onclick = () => {
+        const timeZone = document.getElementById('setting-timezone').value;
+        const code = document.getElementById('setting-currency-code').value.trim().toUpperCase();
+        const symbol = document.getElementById('setting-currency-symbol').value.trim();
+        const decimals = parseInt(document.getElementById('setting-currency-decimals').value, 10);
+
+        if (!symbol) return alert('Enter a currency symbol');
+        if (isNaN(decimals) || decimals < 0 || decimals > 3) return alert('Decimal places must be between 0 and 3');
+        try {
+            new Intl.NumberFormat(undefined, { style: 'currency', currency: code });
+        } catch (e) {
+            return alert(`"${code}" is not a valid currency code`);
+        }
+
+        state.settings = { timeZone, currency: { code, symbol, decimals } };
+        moneyFormatter = null;
+        applyCurrencyLabels();
+        checkDailyReset(); // Today may be a different date in the new zone
+        saveState();
+        renderRegionSettings();
+        alert('Settings saved');
+    };
+
+    // School Breaks
+    document.getElementById('add-break-btn').onclick = () => document.getElementById('break-modal').classList.remove('hidden');
+    document.getElementById('close-break-modal').onclick = () => document.getElementById('break-modal').classList.add('hidden');
+    document.getElementById('save-break-btn').onclick = () => {
+        const name = document.getElementById('break-name').value.trim();
+        const start = document.getElementById('break-start').value;
+        const end = document.getElementById('break-end').value;
+        if (!name || !start || !end) return alert('Name and both dates are required');
+        if (end < start) return alert('The break must end after it starts');
+
+        state.schoolBreaks.push({ id: createId(), name, start, end });
+        state.plans.forEach(refreshPlanTarget);
+        saveState();
+        renderSchoolBreaks();
+        document.getElementById('break-modal').classList.add('hidden');
+    };
+    document.getElementById('close-catchup-modal').onclick = () => document.getElementById('catchup-modal').classList.add('hidden');
+
+    // CSV Export
+    document.getElementById('plan-days-csv-btn').onclick = () => {
+        const plan = state.plans.find(p => p.id === currentPlanId);
+        exportDaysCsv([plan], getFileSlug(plan.name));
+    };
+    document.getElementById('plan-purchases-csv-btn').onclick = () => {
+        const plan = state.plans.find(p => p.id === currentPlanId);
+        exportPurchasesCsv([plan], getFileSlug(plan.name));
+    };
+    document.getElementById('global-days-csv-btn').onclick = () => exportDaysCsv(state.plans, 'all');
+    document.getElementById('global-purchases-csv-btn').onclick = () => exportPurchasesCsv(state.plans, 'all');
+
+    // Backup & Restore
+    document.getElementById('export-backup-btn').onclick = exportBackup;
+    document.getElementById('export-encrypted-btn').onclick = exportEncryptedBackup;
+    document.getElementById('encryption-toggle-btn').onclick = toggleEncryption;
+    document.getElementById('change-passphrase-btn').onclick = changePassphrase;
+    document.getElementById('import-backup-btn').onclick = () => document.getElementById('import-file').click();
+    document.getElementById('import-file').onchange = (e) => {
+        const file = e.target.files[0];
+        e.target.value = '';
+        if (!file) return;
+
+        const reader = new FileReader();
+        reader.onload = async () => {
+            try {
+                let backup = Store.parseBackup(reader.result);
+                if (backup.encrypted) backup = await decryptImport(backup);
+                if (backup) previewImport(backup);
+            } catch (err) {
+                alert(`Import failed: ${err.message}`);
+            }
+        };
+        reader.onerror = () => alert('Import failed: the file could not be read.');
+        reader.readAsText(file);
+    };
+    document.getElementById('import-merge-btn').onclick = () => applyImport('merge');
+    document.getElementById('import-replace-btn').onclick = () => applyImport('replace');
+    document.getElementById('close-import-modal').onclick = () => {
+        pendingImport = null;
+        document.getElementById('import-modal').classList.add('hidden');
+    };
 }
 
-// Global window helpers for dynamic HTML
-window.openPlanHub = openPlanHub;
-window.deleteProduct = (idx) => {
+// --- List Actions ---
+// Rendered rows carry data-action (clicks) or data-change (inputs) plus their
+// data-id / data-index; setupEvents routes them here through one listener each
+function deleteProduct(idx) {
     const plan = state.plans.find(p => p.id === currentPlanId);
-    plan.products.splice(idx, 1);
+    const product = plan.products[idx];
+    recordUndo('Product removed', () => reinsert(plan.products, idx, product), () => removeItem(plan.products, product));
+    removeItem(plan.products, product);
     saveState();
     renderProducts();
-};
-window.buyProduct = (idx) => {
+}
+
+function buyProduct(idx) {
     const plan = state.plans.find(p => p.id === currentPlanId);
     const prod = plan.products[idx];
-    const remaining = plan.dailyAllowance - plan.dailySpent;
-    // Allow overspending if they really want to, which will affect savings
-    if (prod.price > remaining) {
-        if (!confirm('This exceeds your remaining allowance. Continue?')) return;
-    }
-    plan.dailySpent += prod.price;
+    if (!recordPurchase(plan, prod.name, prod.price, 'product', prod.category)) return;
     saveState();
     updatePlanHubUI();
-};
+}
+
+function editTransaction(id) {
+    const tx = state.transactions.find(t => t.id === id);
+    if (!tx) return;
+
+    const newLabel = prompt("Label for this purchase:", tx.label);
+    if (newLabel === null) return;
+    const newAmount = prompt("Amount for this purchase:", tx.amount);
+    if (newAmount === null || newAmount === "" || isNaN(parseFloat(newAmount)) || parseFloat(newAmount) <= 0) return;
+
+    tx.label = newLabel.trim() || tx.label;
+    tx.amount = parseFloat(newAmount);
+    saveState();
+    updatePlanHubUI();
+}
+
+function deleteTransaction(id) {
+    const tx = state.transactions.find(t => t.id === id);
+    if (!tx) return;
+    if (!confirm(`Remove "${tx.label}" (${formatMoney(tx.amount)}) from today's purchases?`)) return;
+
+    const idx = state.transactions.indexOf(tx);
+    recordUndo('Purchase removed', () => reinsert(state.transactions, idx, tx), () => removeItem(state.transactions, tx));
+    removeItem(state.transactions, tx);
+    saveState();
+    updatePlanHubUI();
+}
 
-window.deleteExclusion = (idx) => {
+function deleteSchoolBreak(id) {
+    const schoolBreak = state.schoolBreaks.find(b => b.id === id);
+    const idx = state.schoolBreaks.indexOf(schoolBreak);
+    const change = (apply) => () => {
+        apply();
+        state.plans.forEach(refreshPlanTarget);
+    };
+    const remove = change(() => removeItem(state.schoolBreaks, schoolBreak));
+    recordUndo('School break removed', change(() => reinsert(state.schoolBreaks, idx, schoolBreak)), remove);
+    remove();
+    saveState();
+    renderSchoolBreaks();
+}
+
+function setCategoryBudget(category, period, value) {
     const plan = state.plans.find(p => p.id === currentPlanId);
-    plan.exclusions.splice(idx, 1);
-    refreshPlanTarget(plan);
+    const amount = parseFloat(value);
+    const budget = { ...plan.categoryBudgets[category] };
+    budget[period] = amount > 0 ? amount : null;
+
+    if (budget.daily || budget.weekly) plan.categoryBudgets[category] = budget;
+    else delete plan.categoryBudgets[category];
+    saveState();
+}
+
+function deleteSimExclusion(idx) {
+    simContext.exclusions.splice(idx, 1);
+    renderSimExclusions();
+}
+
+function deleteExclusion(idx) {
+    const plan = state.plans.find(p => p.id === currentPlanId);
+    const exclusion = plan.exclusions[idx];
+    const change = (apply) => () => {
+        apply();
+        refreshPlanTarget(plan);
+    };
+    const remove = change(() => removeExclusion(plan.exclusions, exclusion));
+    recordUndo('Exclusion removed', change(() => reinsert(plan.exclusions, idx, exclusion)), remove);
+    remove();
     saveState();
     renderExclusions();
     updatePlanHubUI();
     if (document.querySelector('.tab-pane#reports-tab').classList.contains('active')) {
         renderPlanReports();
     }
+}
+
+const CLICK_ACTIONS = {
+    'open-plan': (data) => openPlanHub(data.id),
+    'delete-product': (data) => deleteProduct(Number(data.index)),
+    'buy-product': (data) => buyProduct(Number(data.index)),
+    'edit-transaction': (data) => editTransaction(data.id),
+    'delete-transaction': (data) => deleteTransaction(data.id),
+    'delete-school-break': (data) => deleteSchoolBreak(data.id),
+    'delete-exclusion': (data) => deleteExclusion(Number(data.index)),
+    'delete-sim-exclusion': (data) => deleteSimExclusion(Number(data.index)),
+    'switch-profile': (data) => switchProfile(data.id),
+    'delete-profile': (data) => deleteProfile(data.id)
+};
+
+const CHANGE_ACTIONS = {
+    'set-budget': (data, value) => setCategoryBudget(data.category, data.period, value)
 };
 
+// --- App Updates ---
+let updateRequested = false;
+
+function showUpdateBanner(worker) {
+    document.getElementById('update-banner').classList.remove('hidden');
+    document.getElementById('update-reload-btn').onclick = (e) => {
+        e.target.disabled = true;
+        updateRequested = true;
+        // Let pending writes finish before the page goes away
+        Store.save(state).finally(() => worker.postMessage({ type: 'SKIP_WAITING' }));
+    };
+}
+
+function registerServiceWorker() {
+    if (!('serviceWorker' in navigator)) return;
+
+    // The worker imports version.js, which must not come from the HTTP cache either
+    navigator.serviceWorker.register('service-worker.js', { updateViaCache: 'none' }).then(reg => {
+        // A controller means this isn't the first install, so a new worker is an update
+        if (reg.waiting && navigator.serviceWorker.controller) showUpdateBanner(reg.waiting);
+        reg.addEventListener('updatefound', () => {
+            const worker = reg.installing;
+            worker.addEventListener('statechange', () => {
+                if (worker.state === 'installed' && navigator.serviceWorker.controller) showUpdateBanner(worker);
+            });
+        });
+        document.addEventListener('visibilitychange', () => {
+            if (document.visibilityState === 'visible') reg.update().catch(() => {});
+        });
+    });
+
+    navigator.serviceWorker.addEventListener('controllerchange', () => {
+        if (!updateRequested) return;
+        updateRequested = false;
+        window.location.reload();
+    });
+}
+
 // --- Start ---
-function init() {
+async function init() {
+    registerServiceWorker();
+    // A profile with a PIN stays locked until it is entered in this tab
+    let profile = Profiles.getActive();
+    if (!Profiles.isUnlocked(profile.id)) profile = await showProfileLock(profile, { switchable: true });
+    Profiles.open(profile.id);
+    Store.useProfile(profile.id);
+    state = await Store.load(askUnlockPassphrase);
     lucide.createIcons();
+    if (Store.newerData || Store.unreadable) {
+        // Nothing may settle, render or save over data that could not be opened
+        const overlayId = Store.newerData ? 'newer-data' : 'unreadable-data';
+        document.getElementById('tos-overlay').classList.add('hidden');
+        document.getElementById(overlayId).classList.remove('hidden');
+        document.getElementById(`${overlayId}-reload`).onclick = () => window.location.reload();
+        return;
+    }
+    paintAvatar(document.getElementById('profile-btn'), profile);
+    applyCurrencyLabels();
+    renderRangeSelectors();
+    if (Store.recovered) {
+        alert('Your saved data could not be read, so BaonBuddy started fresh. A copy of the old data was kept on this device. You can restore a backup from Settings.');
+    }
     checkDailyReset();
+    // Also catches goals met in migrated data
+    updatePlanLifecycles();
+    saveState();
     
     // Auto-refresh when app comes back to focus to catch 12AM flips
     document.addEventListener('visibilitychange', () => {
@@ -0,0 +1,423 @@
+// Savings engine: the money rules behind daily targets, projections and day
+// settlement. It never touches the DOM or reads the clock itself; callers pass
+// in "today" (see zonedDateStr) and the school breaks from state, so every
+// function can run under Node with a fixed date.
+import { getHolidayRanges } from './holidays.js';
+
+export const DEFAULT_ACTIVE_DAYS = [1, 2, 3, 4, 5]; // Mon-Fri
+export const DEFAULT_TARGET_STRATEGY = {
+    type: 'default', amount: 0, percent: 0,
+    indefinitePercent: 50, boostMinAllowance: 80, boostBelowTarget: 50, boostPercent: 20,
+    roundTo: 0
+};
+
+// Longest stretch the simulator walks for plans without an end date
+export const SIMULATION_DAYS = 3 * 366;
+
+// --- Dates ---
+// Today's YYYY-MM-DD in a time zone; pass `now` to pin the clock
+export function zonedDateStr(timeZone, now = new Date()) {
+    return now.toLocaleDateString('en-CA', { timeZone });
+}
+
+export function addDays(dateStr, n) {
+    const d = new Date(dateStr + 'T00:00:00');
+    d.setDate(d.getDate() + n);
+    return d.toLocaleDateString('en-CA');
+}
+
+function toMidnight(date) {
+    const d = typeof date === 'string' ? new Date(date + 'T00:00:00') : new Date(date);
+    d.setHours(0, 0, 0, 0);
+    return d;
+}
+
+// --- Exclusions ---
+// Merges overlapping or touching ranges into new objects; the input is left as is
+export function mergeExclusions(exclusions) {
+    if (!exclusions || exclusions.length === 0) return [];
+
+    const sorted = [...exclusions].sort((a, b) => a.start.localeCompare(b.start));
+    const merged = [];
+    let current = { ...sorted[0] };
+
+    for (let i = 1; i < sorted.length; i++) {
+        const next = sorted[i];
+        if (next.start <= current.end) {
+            if (next.end > current.end) current.end = next.end;
+        } else {
+            merged.push(current);
+            current = { ...next };
+        }
+    }
+    merged.push(current);
+    return merged;
+}
+
+// Matched by dates, since the stored ranges may be copies of the ones on screen
+export function removeExclusion(exclusions, range) {
+    const idx = exclusions.findIndex(ex => ex.start === range.start && ex.end === range.end);
+    if (idx !== -1) exclusions.splice(idx, 1);
+    return idx !== -1;
+}
+
+// Holidays and school breaks, only for plans that opted into the calendar
+export function getCalendarExclusions(plan, today, schoolBreaks = []) {
+    if (!plan.useHolidays) return [];
+    const end = plan.useEndDate !== false && plan.endDate
+        ? plan.endDate
+        : `${toMidnight(today).getFullYear() + 3}-12-31`;
+    return [
+        ...getHolidayRanges(plan.startDate, end),
+        ...schoolBreaks.map(b => ({ start: b.start, end: b.end, name: b.name, type: 'school' }))
+    ];
+}
+
+export function getPlanExclusions(plan, today, schoolBreaks = []) {
+    return [...plan.exclusions, ...getCalendarExclusions(plan, today, schoolBreaks)];
+}
+
+export function isDateInExclusions(date, exclusions) {
+    const dStr = toMidnight(date).toLocaleDateString('en-CA');
+    return exclusions.some(ex => dStr >= ex.start && dStr <= ex.end);
+}
+
+// Counts the active weekdays (Mon-Fri unless configured) between two dates,
+// inclusive, skipping exclusion periods
+export function countCalculationDays(start, end, exclusions = [], activeDays = DEFAULT_ACTIVE_DAYS) {
+    const cur = toMidnight(start);
+    const last = toMidnight(end);
+    const mergedEx = mergeExclusions(exclusions);
+    let count = 0;
+
+    while (cur <= last) {
+        const dStr = cur.toLocaleDateString('en-CA');
+        const isExcluded = mergedEx.some(ex => dStr >= ex.start && dStr <= ex.end);
+        if (activeDays.includes(cur.getDay()) && !isExcluded) count++;
+        cur.setDate(cur.getDate() + 1);
+    }
+    return count;
+}
+
+// Calculation days from today to the plan's end date, inclusive
+function countDaysLeft(plan, today, schoolBreaks) {
+    return countCalculationDays(today, plan.endDate, getPlanExclusions(plan, today, schoolBreaks), plan.activeDays);
+}
+
+export function isCalculationDay(dateStr, plan, schoolBreaks = []) {
+    const d = toMidnight(dateStr);
+    if (!plan.activeDays.includes(d.getDay())) return false;
+    return !isDateInExclusions(d, getPlanExclusions(plan, d, schoolBreaks));
+}
+
+// --- Targets ---
+// daysLeft can be passed by callers that already know it (see simulatePlan);
+// otherwise it is counted when the strategy needs it
+export function calculateRequiredDaily(plan, allowance, today, schoolBreaks = [], daysLeft = null) {
+    // Paused plans have no target until they are resumed
+    if (plan.status === 'paused') return 0;
+    today = toMidnight(today);
+
+    // Rule: If today falls inside an exclusion range, requiredSavings is 0
+    if (isDateInExclusions(today, getPlanExclusions(plan, today, schoolBreaks))) {
+        return 0;
+    }
+
+    // Indefinite plans in manual mode keep the amount the user typed
+    if (plan.useEndDate === false && plan.manualSavingsMode) {
+        return plan.dailySavingsGoal || 0;
+    }
+
+    const base = calculateStrategyTarget(plan, allowance, today, schoolBreaks, daysLeft);
+    if (base === null) return 0;
+
+    // The target is capped by what you actually have today (today's allowance)
+    let target = Math.min(allowance, base + calculateDebtShare(plan, allowance, today, schoolBreaks, daysLeft));
+
+    const roundTo = plan.targetStrategy.roundTo;
+    if (roundTo > 0 && target > 0) {
+        target = Math.min(allowance, Math.ceil(target / roundTo - 1e-9) * roundTo);
+    }
+    return target;
+}
+
+// Target from the plan's strategy before debt and rounding; null when there is nothing left to save for
+export function calculateStrategyTarget(plan, allowance, today, schoolBreaks = [], daysLeft = null) {
+    const strategy = plan.targetStrategy;
+    today = toMidnight(today);
+
+    if (plan.useEndDate !== false && today > toMidnight(plan.endDate)) return null;
+
+    if (strategy.type === 'fixed-amount') return strategy.amount;
+    if (strategy.type === 'fixed-percent') return allowance * strategy.percent / 100;
+
+    // Indefinite Mode Rule: No End Date, so save a share of today's allowance (50% unless changed)
+    if (plan.useEndDate === false) return allowance * strategy.indefinitePercent / 100;
+
+    if (!plan.goal) return null;
+
+    // Remaining days counting the plan's active weekdays only (excluding exclusion periods)
+    if (daysLeft === null) daysLeft = countDaysLeft(plan, today, schoolBreaks);
+    if (daysLeft <= 0) return allowance; // Should save everything if it's the last day
+
+    const remainingNeeded = Math.max(0, plan.goal - (plan.totalSaved || 0));
+
+    // Front-loaded saves n, n-1, ... 1 parts over the days left; back-loaded 1, 2, ... n
+    if (strategy.type === 'front-loaded') return remainingNeeded * 2 / (daysLeft + 1);
+    if (strategy.type === 'back-loaded') return remainingNeeded * 2 / (daysLeft * (daysLeft + 1));
+
+    // The Formula: (Goal - Total Savings) / Days Left
+    let target = remainingNeeded / daysLeft;
+
+    // Special User Rule: if manual savings is off, allowance >= 80 and target < 50,
+    // add 20% of allowance to the target. The thresholds are editable per plan.
+    if (strategy.type === 'default' && !plan.manualSavingsMode &&
+        allowance >= strategy.boostMinAllowance && target < strategy.boostBelowTarget) {
+        target += allowance * strategy.boostPercent / 100;
+    }
+    return target;
+}
+
+// Portion of today's target that goes to paying off penalty debt
+export function calculateDebtShare(plan, allowance, today, schoolBreaks = [], daysLeft = null) {
+    const debt = plan.penaltyDebt || 0;
+    if (!plan.includeDebtInTarget || plan.manualSavingsMode || debt <= 0) return 0;
+
+    // Indefinite plans pay it off as soon as the allowance allows
+    if (plan.useEndDate === false) return Math.min(debt, allowance);
+
+    if (daysLeft === null) daysLeft = countDaysLeft(plan, today, schoolBreaks);
+    return Math.min(allowance, debt / Math.max(1, daysLeft));
+}
+
+// Date the goal is met if today's target is saved on every calculation day from tomorrow
+export function calculateProjectedEndDate(plan, today, schoolBreaks = []) {
+    if (!plan.goal || !plan.dailySavingsGoal || plan.dailySavingsGoal <= 0) return null;
+
+    const remainingNeeded = plan.goal - (plan.totalSaved || 0);
+    if (remainingNeeded <= 0) return 'Goal Met!';
+
+    const daysNeeded = Math.ceil(remainingNeeded / plan.dailySavingsGoal);
+    const cur = toMidnight(today);
+    cur.setDate(cur.getDate() + 1);
+
+    let workingDaysFound = 0;
+    const mergedEx = mergeExclusions(getPlanExclusions(plan, today, schoolBreaks));
+
+    // Safety counter to prevent infinite loops
+    let safety = 0;
+    while (workingDaysFound < daysNeeded && safety < 10000) {
+        safety++;
+        const dStr = cur.toLocaleDateString('en-CA');
+        const isExcluded = mergedEx.some(ex => dStr >= ex.start && dStr <= ex.end);
+
+        if (plan.activeDays.includes(cur.getDay()) && !isExcluded) workingDaysFound++;
+        if (workingDaysFound < daysNeeded) cur.setDate(cur.getDate() + 1);
+    }
+
+    return cur.toLocaleDateString('en-CA');
+}
+
+// Targets for the next few calculation days from `today`, assuming each one is met
+export function previewTargets(plan, allowance, today, schoolBreaks = [], count = 7) {
+    const draft = { ...plan, totalSaved: plan.totalSaved || 0, penaltyDebt: plan.penaltyDebt || 0 };
+    const rows = [];
+    const day = toMidnight(today);
+    for (let i = 0; i < 366 && rows.length < count; i++, day.setDate(day.getDate() + 1)) {
+        const dateStr = day.toLocaleDateString('en-CA');
+        if (draft.useEndDate !== false && draft.endDate && dateStr > draft.endDate) break;
+        if (!isCalculationDay(dateStr, draft, schoolBreaks)) continue;
+
+        const debtShare = calculateDebtShare(draft, allowance, day, schoolBreaks);
+        const target = calculateRequiredDaily(draft, allowance, day, schoolBreaks);
+        rows.push({ date: dateStr, target });
+        draft.penaltyDebt -= Math.min(debtShare, target);
+        draft.totalSaved += target;
+    }
+    return rows;
+}
+
+// Runs a draft plan day by day from a date, assuming every target is met
+export function simulatePlan(draft, allowance, from, schoolBreaks = []) {
+    const plan = { ...draft };
+    const hasEnd = plan.useEndDate !== false;
+    const last = hasEnd ? plan.endDate : addDays(from, SIMULATION_DAYS);
+    // Counted once and then down as the walk passes each calculation day,
+    // instead of recounting the rest of the plan every day
+    const exclusions = mergeExclusions(getPlanExclusions(plan, from, schoolBreaks));
+    let daysLeft = hasEnd ? countCalculationDays(from, plan.endDate, exclusions, plan.activeDays) : null;
+    const points = [];
+    for (let dateStr = from; dateStr <= last && plan.totalSaved < plan.goal; dateStr = addDays(dateStr, 1)) {
+        if (!plan.activeDays.includes(toMidnight(dateStr).getDay()) || isDateInExclusions(dateStr, exclusions)) continue;
+        const target = calculateRequiredDaily(plan, allowance, dateStr, schoolBreaks, daysLeft);
+        if (hasEnd) daysLeft--;
+        plan.totalSaved += target;
+        points.push({ date: dateStr, target, saved: plan.totalSaved });
+    }
+    return points;
+}
+
+// First date the goal could be met by saving the whole allowance every calculation day
+export function findEarliestEndDate(draft, allowance, from, schoolBreaks = []) {
+    if (allowance <= 0) return null;
+    // Without an end date the holiday calendar covers the whole search
+    const plan = { ...draft, useEndDate: false };
+    let saved = plan.totalSaved;
+    for (let i = 0, dateStr = from; i < SIMULATION_DAYS; i++, dateStr = addDays(dateStr, 1)) {
+        if (!isCalculationDay(dateStr, plan, schoolBreaks)) continue;
+        saved += allowance;
+        if (saved >= plan.goal) return dateStr;
+    }
+    return null;
+}
+
+// --- Settlement ---
+// Purchases are filed under the day that was open when they were made
+export function getDayTransactions(transactions, plan, dateStr) {
+    return transactions.filter(t => t.planId === plan.id && t.date === dateStr);
+}
+
+export function getDailySpent(transactions, plan, dateStr) {
+    return getDayTransactions(transactions, plan, dateStr).reduce((sum, t) => sum + t.amount, 0);
+}
+
+// History is kept forever; charts aggregate it instead of trimming it
+export function pushPlanHistory(plan, entry) {
+    plan.history.push({ ...entry, totalSaved: plan.totalSaved });
+}
+
+export function pushGlobalHistory(state, dateStr) {
+    // One point per day, the latest balance wins
+    const last = state.history[state.history.length - 1];
+    if (last && last.date === dateStr) {
+        last.savings = state.totalSavings;
+        return;
+    }
+    state.history.push({
+        date: dateStr,
+        savings: state.totalSavings
+    });
+}
+
+export function addDebt(plan, amount, dateStr, note) {
+    plan.penaltyDebt = (plan.penaltyDebt || 0) + amount;
+    plan.debtLog.push({ date: dateStr, type: 'incurred', amount, note });
+}
+
+export function repayDebt(plan, amount, dateStr, note) {
+    const paid = Math.min(amount, plan.penaltyDebt || 0);
+    if (paid <= 0) return 0;
+    plan.penaltyDebt -= paid;
+    plan.debtLog.push({ date: dateStr, type: 'repaid', amount: paid, note });
+    return paid;
+}
+
+// Settles an active day: whatever was left from the allowance is saved
+export function closePlanDay(state, plan, dateStr) {
+    const spent = getDailySpent(state.transactions, plan, dateStr);
+    // Actual savings for the day is whatever was left from the allowance
+    const actualSavings = (plan.dailyAllowance || 0) - spent;
+    // A plan paused mid-day keeps what was saved but owes nothing for the day
+    const target = plan.status === 'paused' ? 0 : plan.dailySavingsGoal || 0;
+    // Part of the target may be a debt payment; only the rest counts as the day's own goal
+    const debtShare = Math.min(plan.dailyDebtShare || 0, target);
+    const dayTarget = target - debtShare;
+    let penalty = 0;
+    let repaid = 0;
+
+    // Track debt in penalty mode if actual savings didn't meet the target
+    if (plan.status !== 'paused' && plan.penaltyMode && (plan.estimateMode || plan.manualSavingsMode)) {
+        if (actualSavings < dayTarget) {
+            penalty = dayTarget - actualSavings;
+        }
+    }
+
+    // Savings above the day's own goal pay down debt: the folded-in share always,
+    // any further surplus only with auto-repay on
+    const surplus = actualSavings - dayTarget;
+    if (surplus > 0) {
+        const payable = plan.autoRepayDebt ? surplus : Math.min(surplus, debtShare);
+        repaid = repayDebt(plan, payable, dateStr, 'Paid from surplus');
+    }
+    if (penalty > 0) addDebt(plan, penalty, dateStr, 'Missed daily target');
+
+    // Update totals (actualSavings can be negative if overspent)
+    state.totalSavings += actualSavings;
+    plan.totalSaved = (plan.totalSaved || 0) + actualSavings;
+    plan.totalSpent = (plan.totalSpent || 0) + spent;
+    plan.lastDailyTarget = target;
+
+    pushPlanHistory(plan, {
+        date: dateStr,
+        type: 'day',
+        allowance: plan.dailyAllowance || 0,
+        target,
+        spent,
+        saved: actualSavings,
+        penalty,
+        repaid
+    });
+
+    // Reset daily
+    plan.dayActive = false;
+    plan.dailyAllowance = 0;
+    plan.dailySavingsGoal = 0;
+    plan.dailyDebtShare = 0;
+}
+
+// Records a day the app was never opened; allowance and spending are unknown
+export function recordMissedDay(state, plan, dateStr) {
+    if (plan.status !== 'active') return 0;
+    if (dateStr < plan.startDate) return 0;
+    if (plan.useEndDate !== false && plan.endDate && dateStr > plan.endDate) return 0;
+
+    let penalty = 0;
+    if (plan.penaltyMode && isCalculationDay(dateStr, plan, state.schoolBreaks)) {
+        if (plan.missedDayPolicy === 'last-target') penalty = plan.lastDailyTarget || 0;
+        if (plan.missedDayPolicy === 'fixed') penalty = plan.missedDayPenalty || 0;
+    }
+    if (penalty > 0) addDebt(plan, penalty, dateStr, 'Missed day');
+
+    pushPlanHistory(plan, {
+        date: dateStr,
+        type: 'missed',
+        allowance: null,
+        target: null,
+        spent: null,
+        saved: 0,
+        penalty
+    });
+    return penalty;
+}
+
+// Rolls state forward to todayStr: closes the day that was left open and records
+// every day in between. Returns null when there is nothing to settle.
+export function settleDays(state, todayStr) {
+    if (state.lastLoginDate === todayStr) return null;
+    // Moving to a zone that is behind: wait until it reaches the day already open
+    if (state.lastLoginDate && todayStr < state.lastLoginDate) return null;
+
+    const lastDay = state.lastLoginDate || todayStr;
+    const summary = state.plans.map(plan => ({ name: plan.name, closed: plan.dayActive, missed: 0, penalty: 0 }));
+
+    // Close the day that was open when the app was last used
+    state.plans.forEach(plan => {
+        if (plan.dayActive) closePlanDay(state, plan, lastDay);
+    });
+    pushGlobalHistory(state, lastDay);
+
+    // Walk every calendar day in between that was never opened
+    let missedDays = 0;
+    for (let day = addDays(lastDay, 1); day < todayStr; day = addDays(day, 1)) {
+        missedDays++;
+        state.plans.forEach((plan, idx) => {
+            const before = plan.history.length;
+            summary[idx].penalty += recordMissedDay(state, plan, day);
+            if (plan.history.length > before) summary[idx].missed++;
+        });
+        pushGlobalHistory(state, day);
+    }
+
+    state.lastLoginDate = todayStr;
+    return { lastDay, missedDays, summary };
+}
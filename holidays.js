@@ -0,0 +1,123 @@
+// Philippine public holidays, bundled so the app works offline.
+// Fixed-date and Easter-based holidays are computed for any year; lunar
+// holidays (Chinese New Year, Eid'l Fitr, Eid'l Adha) and one-off
+// proclamations come from the table below and must be added each year.
+
+const REGULAR_FIXED = [
+    ['01-01', "New Year's Day"],
+    ['04-09', 'Araw ng Kagitingan'],
+    ['05-01', 'Labor Day'],
+    ['06-12', 'Independence Day'],
+    ['11-30', 'Bonifacio Day'],
+    ['12-25', 'Christmas Day'],
+    ['12-30', 'Rizal Day']
+];
+
+const SPECIAL_FIXED = [
+    ['08-21', 'Ninoy Aquino Day'],
+    ['11-01', "All Saints' Day"],
+    ['12-08', 'Feast of the Immaculate Conception'],
+    ['12-24', 'Christmas Eve'],
+    ['12-31', 'Last Day of the Year']
+];
+
+// Proclaimed dates per year. Eid dates for years without a proclamation yet
+// are astronomical estimates and may move by a day.
+const PROCLAIMED = {
+    2024: [
+        ['02-10', 'Chinese New Year', 'special'],
+        ['04-10', "Eid'l Fitr", 'regular'],
+        ['06-17', "Eid'l Adha", 'regular'],
+        ['11-02', "All Souls' Day", 'special']
+    ],
+    2025: [
+        ['01-29', 'Chinese New Year', 'special'],
+        ['04-01', "Eid'l Fitr", 'regular'],
+        ['06-06', "Eid'l Adha", 'regular'],
+        ['10-31', "All Saints' Day Eve", 'special']
+    ],
+    2026: [
+        ['02-17', 'Chinese New Year', 'special'],
+        ['03-20', "Eid'l Fitr", 'regular'],
+        ['05-27', "Eid'l Adha", 'regular']
+    ],
+    2027: [
+        ['02-06', 'Chinese New Year', 'special'],
+        ['03-10', "Eid'l Fitr", 'regular'],
+        ['05-17', "Eid'l Adha", 'regular']
+    ]
+};
+
+const cache = new Map();
+
+function pad(n) {
+    return String(n).padStart(2, '0');
+}
+
+function utcDateStr(d) {
+    return `${d.getUTCFullYear()}-${pad(d.getUTCMonth() + 1)}-${pad(d.getUTCDate())}`;
+}
+
+// Anonymous Gregorian computus
+function easterSunday(year) {
+    const a = year % 19;
+    const b = Math.floor(year / 100);
+    const c = year % 100;
+    const d = Math.floor(b / 4);
+    const e = b % 4;
+    const f = Math.floor((b + 8) / 25);
+    const g = Math.floor((b - f + 1) / 3);
+    const h = (19 * a + b - d - g + 15) % 30;
+    const i = Math.floor(c / 4);
+    const k = c % 4;
+    const l = (32 + 2 * e + 2 * i - h - k) % 7;
+    const m = Math.floor((a + 11 * h + 22 * l) / 451);
+    const month = Math.floor((h + l - 7 * m + 114) / 31);
+    const day = ((h + l - 7 * m + 114) % 31) + 1;
+    return new Date(Date.UTC(year, month - 1, day));
+}
+
+function offsetFrom(date, days) {
+    const d = new Date(date);
+    d.setUTCDate(d.getUTCDate() + days);
+    return utcDateStr(d);
+}
+
+function lastMondayOfAugust(year) {
+    const d = new Date(Date.UTC(year, 7, 31));
+    d.setUTCDate(31 - ((d.getUTCDay() + 6) % 7));
+    return utcDateStr(d);
+}
+
+function buildYear(year) {
+    const easter = easterSunday(year);
+    const list = [
+        ...REGULAR_FIXED.map(([md, name]) => ({ date: `${year}-${md}`, name, type: 'regular' })),
+        ...SPECIAL_FIXED.map(([md, name]) => ({ date: `${year}-${md}`, name, type: 'special' })),
+        { date: offsetFrom(easter, -3), name: 'Maundy Thursday', type: 'regular' },
+        { date: offsetFrom(easter, -2), name: 'Good Friday', type: 'regular' },
+        { date: offsetFrom(easter, -1), name: 'Black Saturday', type: 'special' },
+        { date: lastMondayOfAugust(year), name: 'National Heroes Day', type: 'regular' },
+        ...(PROCLAIMED[year] || []).map(([md, name, type]) => ({ date: `${year}-${md}`, name, type }))
+    ];
+    return list.sort((a, b) => a.date.localeCompare(b.date));
+}
+
+export function getHolidays(year) {
+    if (!cache.has(year)) cache.set(year, buildYear(year));
+    // Hand out copies so callers can't alter the cached calendar
+    return cache.get(year).map(h => ({ ...h }));
+}
+
+// Holidays between two YYYY-MM-DD strings (inclusive) as exclusion ranges
+export function getHolidayRanges(start, end) {
+    const ranges = [];
+    for (let year = parseInt(start.slice(0, 4), 10); year <= parseInt(end.slice(0, 4), 10); year++) {
+        getHolidays(year).forEach(h => {
+            if (h.date >= start && h.date <= end) {
+                ranges.push({ start: h.date, end: h.date, name: h.name, type: h.type });
+            }
+        });
+    }
+    return ranges;
+}
@@ -0,0 +1,36 @@
+// Escaped templating for innerHTML. Every value interpolated into html`...`
+// is escaped unless it was itself built with html`...`, so names typed by the
+// user (or read from an imported backup) can never turn into markup.
+
+const ESCAPES = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' };
+
+class SafeHtml {
+    constructor(markup) {
+        this.markup = markup;
+    }
+
+    toString() {
+        return this.markup;
+    }
+}
+
+export function escapeHtml(value) {
+    return String(value).replace(/[&<>"']/g, ch => ESCAPES[ch]);
+}
+
+function renderValue(value) {
+    if (value instanceof SafeHtml) return value.markup;
+    // Lists of rows can be interpolated directly, no join('') needed
+    if (Array.isArray(value)) return value.map(renderValue).join('');
+    if (value === null || value === undefined || value === false) return '';
+    return escapeHtml(value);
+}
+
+export function html(strings, ...values) {
+    return new SafeHtml(strings.reduce((out, str, i) => out + str + (i < values.length ? renderValue(values[i]) : ''), ''));
+}
+
+// Replaces an element's content with html`...` output or a list of it
+export function setHtml(element, content) {
+    element.innerHTML = renderValue(content);
+}
@@ -0,0 +1,114 @@
+// Profiles let several people keep separate plans on one device. The registry
+// (names, colours, PIN hashes) lives in localStorage; each profile's data is
+// stored under its own database and key, see Store.useProfile.
+import { Store, DEFAULT_PROFILE_ID } from './store.js';
+import { toBase64, fromBase64 } from './vault.js';
+
+const REGISTRY_KEY = 'baonbuddy_profiles';
+// Per tab: cleared when the app is closed, so a PIN is asked again next time
+const UNLOCK_KEY = 'baonbuddy_unlocked';
+const PIN_ITERATIONS = 100000;
+const COLOR_RE = /^#[0-9a-f]{6}$/i;
+
+export const PROFILE_COLORS = ['#00bcd4', '#ffb300', '#7e57c2', '#ec407a', '#66bb6a', '#ff7043'];
+
+function createDefaultRegistry() {
+    // Devices from before profiles get one profile that holds the existing data
+    return {
+        activeId: DEFAULT_PROFILE_ID,
+        profiles: [{ id: DEFAULT_PROFILE_ID, name: 'Me', color: PROFILE_COLORS[0], pin: null }]
+    };
+}
+
+// Colours end up in style attributes, so only plain hex values are kept
+function checkColor(color) {
+    return COLOR_RE.test(color) ? color : PROFILE_COLORS[0];
+}
+
+function readRegistry() {
+    try {
+        const parsed = JSON.parse(localStorage.getItem(REGISTRY_KEY));
+        if (parsed && Array.isArray(parsed.profiles) && parsed.profiles.length > 0) return parsed;
+    } catch (e) {
+        console.warn('Profile list could not be read, starting over', e);
+    }
+    return createDefaultRegistry();
+}
+
+function writeRegistry(registry) {
+    localStorage.setItem(REGISTRY_KEY, JSON.stringify(registry));
+}
+
+async function hashPin(pin, salt, iterations) {
+    const key = await crypto.subtle.importKey('raw', new TextEncoder().encode(pin), 'PBKDF2', false, ['deriveBits']);
+    const bits = await crypto.subtle.deriveBits({ name: 'PBKDF2', hash: 'SHA-256', salt, iterations }, key, 256);
+    return toBase64(bits);
+}
+
+export const Profiles = {
+    list() {
+        return readRegistry().profiles;
+    },
+
+    get(id) {
+        return this.list().find(p => p.id === id) || null;
+    },
+
+    getActive() {
+        const registry = readRegistry();
+        return registry.profiles.find(p => p.id === registry.activeId) || registry.profiles[0];
+    },
+
+    isUnlocked(id) {
+        const profile = this.get(id);
+        return !!profile && (!profile.pin || sessionStorage.getItem(UNLOCK_KEY) === id);
+    },
+
+    // Makes a profile the one loaded on start; call only once it is unlocked
+    open(id) {
+        const registry = readRegistry();
+        registry.activeId = id;
+        writeRegistry(registry);
+        sessionStorage.setItem(UNLOCK_KEY, id);
+    },
+
+    create(name, color) {
+        const registry = readRegistry();
+        const profile = { id: `p${Date.now().toString(36)}`, name, color: checkColor(color), pin: null };
+        registry.profiles.push(profile);
+        writeRegistry(registry);
+        return profile;
+    },
+
+    update(id, changes) {
+        const registry = readRegistry();
+        const profile = registry.profiles.find(p => p.id === id);
+        Object.assign(profile, changes);
+        profile.color = checkColor(profile.color);
+        writeRegistry(registry);
+    },
+
+    // Deletes the profile and everything it saved on this device
+    async remove(id) {
+        const registry = readRegistry();
+        if (id === registry.activeId) throw new Error('The open profile cannot be deleted');
+        await Store.deleteProfile(id);
+        registry.profiles = registry.profiles.filter(p => p.id !== id);
+        writeRegistry(registry);
+    },
+
+    // Only a salted PBKDF2 hash of the PIN is kept; pass null to remove it
+    async setPin(id, pin) {
+        if (!pin) return this.update(id, { pin: null });
+        const salt = crypto.getRandomValues(new Uint8Array(16));
+        const hash = await hashPin(pin, salt, PIN_ITERATIONS);
+        this.update(id, { pin: { salt: toBase64(salt), hash, iterations: PIN_ITERATIONS } });
+    },
+
+    async verifyPin(id, pin) {
+        const profile = this.get(id);
+        if (!profile || !profile.pin) return true;
+        const { salt, hash, iterations } = profile.pin;
+        return await hashPin(pin, fromBase64(salt), iterations) === hash;
+    }
+};
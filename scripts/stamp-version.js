@@ -0,0 +1,33 @@
+// Writes a hash of the app shell into version.js, so any changed file makes a
+// new build: browsers see version.js change and install the new service worker.
+// Run with: npm run stamp
+import { createHash } from 'node:crypto';
+import { readFileSync, writeFileSync } from 'node:fs';
+import { fileURLToPath } from 'node:url';
+
+const ROOT = fileURLToPath(new URL('../', import.meta.url));
+const BUILD_RE = /build: '[0-9a-f]*'/;
+
+// The service worker's precache list is the app shell
+export function listShellFiles() {
+    const worker = readFileSync(`${ROOT}service-worker.js`, 'utf8');
+    const files = JSON.parse(worker.match(/const FILES_TO_CACHE = (\[[^\]]*\]);/)[1]);
+    // "./" is index.html again, and version.js holds the hash itself
+    return ['./service-worker.js', ...files.filter(file => file !== './' && file !== './version.js')];
+}
+
+export function computeBuild() {
+    const hash = createHash('sha256');
+    listShellFiles().forEach(file => {
+        hash.update(file);
+        hash.update(readFileSync(ROOT + file));
+    });
+    return hash.digest('hex').slice(0, 12);
+}
+
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+    const file = `${ROOT}version.js`;
+    const build = computeBuild();
+    writeFileSync(file, readFileSync(file, 'utf8').replace(BUILD_RE, `build: '${build}'`));
+    console.log(`version.js stamped with build ${build}`);
+}
@@ -1,4 +1,18 @@
-const CACHE_NAME = "savings-tracker-v1";
+// Build hash and schema version, shared with the page. `npm run stamp` rewrites
+// the build whenever a shell file changes, and browsers install a new worker
+// whenever an imported script changes.
+importScripts("./version.js");
+const { build: BUILD, schemaVersion: SCHEMA_VERSION } = self.BAONBUDDY_RELEASE;
+const CACHE_NAME = `baonbuddy-shell-${BUILD}`;
+// Each profile has its own database: "baonbuddy" and "baonbuddy-<profile id>"
+const DB_NAME = "baonbuddy";
+// Reminder schedules live in their own cache so app updates keep them, one
+// entry per profile so opening one profile does not replace another's
+const REMINDER_CACHE = "baonbuddy-reminders";
+// Single shared schedule written by older builds
+const LEGACY_REMINDER_URL = "./__reminders.json";
+// Reminders found later than this (device asleep, browser closed) are dropped
+const REMINDER_GRACE = 2 * 60 * 60 * 1000;
 
 const FILES_TO_CACHE = [
   "./",
@@ -6,6 +20,12 @@ const FILES_TO_CACHE = [
   "./style.css",
   "./app.js",
   "./store.js",
+  "./engine.js",
+  "./html.js",
+  "./profiles.js",
+  "./vault.js",
+  "./version.js",
+  "./holidays.js",
   "./lucide.min.js",
   "./chart.min.js",
   "./Outfit-ExtraBold.woff2",
@@ -14,14 +34,71 @@ const FILES_TO_CACHE = [
   "./Outfit-SemiBold.woff2"
 ];
 
-// Install: cache files
+// Names of the profile databases on this device
+function listProfileDatabases() {
+  if (!self.indexedDB) return Promise.resolve([]);
+  // Browsers without databases() only get the first profile checked
+  if (!indexedDB.databases) return Promise.resolve([DB_NAME]);
+  return indexedDB.databases()
+    .then(dbs => dbs.map(db => db.name).filter(name => name === DB_NAME || name.startsWith(`${DB_NAME}-`)))
+    .catch(() => [DB_NAME]);
+}
+
+// Newest schema version saved by any profile, or null if there is no data yet
+function readStoredSchema() {
+  return listProfileDatabases()
+    .then(names => Promise.all(names.map(readDatabaseSchema)))
+    .then(versions => {
+      const found = versions.filter(v => v);
+      return found.length > 0 ? Math.max(...found) : null;
+    });
+}
+
+function readDatabaseSchema(name) {
+  return new Promise(resolve => {
+    const request = indexedDB.open(name);
+    // No database yet: back out instead of creating an empty one
+    request.onupgradeneeded = () => request.transaction.abort();
+    request.onerror = () => resolve(null);
+    request.onsuccess = () => {
+      const db = request.result;
+      try {
+        // Encrypted data keeps its schema version readable on the "vault" record
+        const get = db.transaction("meta", "readonly").objectStore("meta").getAll();
+        get.onsuccess = () => {
+          const record = get.result.find(r => r.key === "state" || r.key === "vault");
+          resolve(record ? record.schemaVersion : null);
+        };
+        get.onerror = () => resolve(null);
+      } catch (err) {
+        resolve(null);
+      } finally {
+        db.close();
+      }
+    };
+  });
+}
+
+// Install: refuse to install over data saved by a newer release, then cache files
 self.addEventListener("install", event => {
   event.waitUntil(
-    caches.open(CACHE_NAME).then(cache => {
-      return cache.addAll(FILES_TO_CACHE);
+    readStoredSchema().then(stored => {
+      if (stored && stored > SCHEMA_VERSION) {
+        throw new Error(`Saved data uses schema ${stored}; this release reads up to ${SCHEMA_VERSION}`);
+      }
+      // Skip the HTTP cache so a new build never precaches old files
+      return caches.open(CACHE_NAME).then(cache =>
+        cache.addAll(FILES_TO_CACHE.map(url => new Request(url, { cache: "reload" })))
+      );
     })
   );
-  self.skipWaiting();
+});
+
+// The page asks for this once the user agrees to reload
+self.addEventListener("message", event => {
+  if (event.data && event.data.type === "SKIP_WAITING") {
+    self.skipWaiting();
+  }
 });
 
 // Activate: clean old caches
@@ -30,21 +107,142 @@ self.addEventListener("activate", event => {
     caches.keys().then(keys =>
       Promise.all(
         keys.map(key => {
-          if (key !== CACHE_NAME) {
+          if (key !== CACHE_NAME && key !== REMINDER_CACHE) {
             return caches.delete(key);
           }
         })
       )
-    )
+    ).then(() => caches.open(REMINDER_CACHE)).then(cache => cache.delete(LEGACY_REMINDER_URL))
   );
   self.clients.claim();
 });
 
-// Fetch: serve offline
+// Fetch: stale-while-revalidate, but the shell is served only from this build's
+// precache so a page never mixes files from two builds. The revalidation does
+// not write into it: a changed file means a new build is out, so it asks for the
+// next worker, which precaches that build whole and shows the update banner.
 self.addEventListener("fetch", event => {
+  const request = event.request;
+  if (request.method !== "GET" || new URL(request.url).origin !== self.location.origin) return;
+
   event.respondWith(
-    caches.match(event.request).then(response => {
-      return response || fetch(event.request);
+    caches.open(CACHE_NAME)
+      .then(cache => cache.match(request, { ignoreSearch: true }))
+      .then(cached => {
+        if (!cached) return fetch(request);
+        event.waitUntil(revalidate(request, cached));
+        return cached;
+      })
+  );
+});
+
+function revalidate(request, cached) {
+  return fetch(request, { cache: "no-cache" })
+    .then(response => {
+      if (!response.ok) return null;
+      return Promise.all([response.text(), cached.clone().text()]);
+    })
+    .then(bodies => {
+      if (bodies && bodies[0] !== bodies[1]) return self.registration.update();
+    })
+    .catch(() => {
+      // Offline: the cached copy is all there is
+    });
+}
+// Reminders: the app posts its schedule, the worker shows what is due
+let reminderQueue = Promise.resolve();
+
+// Messages can arrive back to back; run their cache updates one at a time
+function queueReminders(task) {
+  reminderQueue = reminderQueue.then(task, task);
+  return reminderQueue;
+}
+
+function reminderUrl(profileId) {
+  return `./__reminders/${encodeURIComponent(profileId)}.json`;
+}
+
+async function readReminders(url) {
+  const cache = await caches.open(REMINDER_CACHE);
+  const response = await cache.match(url);
+  return response ? response.json() : { reminders: [], sent: [] };
+}
+
+async function writeReminders(url, data) {
+  const cache = await caches.open(REMINDER_CACHE);
+  await cache.put(url, new Response(JSON.stringify(data), {
+    headers: { "Content-Type": "application/json" }
+  }));
+}
+
+// Every profile's schedule, one after another
+async function checkReminders() {
+  const cache = await caches.open(REMINDER_CACHE);
+  const requests = await cache.keys();
+  for (const request of requests) {
+    await checkSchedule(request.url);
+  }
+}
+
+async function checkSchedule(url) {
+  const data = await readReminders(url);
+  const now = Date.now();
+  const due = data.reminders.filter(r => r.at <= now && !data.sent.includes(r.id));
+
+  for (const reminder of due) {
+    if (now - reminder.at > REMINDER_GRACE) continue;
+    try {
+      await self.registration.showNotification(reminder.title, {
+        body: reminder.body,
+        tag: reminder.tag,
+        icon: "icon-192.png",
+        badge: "icon-192.png"
+      });
+    } catch (err) {
+      // Permission was revoked; nothing else to do offline
+    }
+  }
+
+  data.sent.push(...due.map(r => r.id));
+  await writeReminders(url, data);
+}
+
+async function replaceReminders(profileId, reminders) {
+  const url = reminderUrl(profileId);
+  // Show anything already due from the old schedule before it is swapped out
+  await checkSchedule(url);
+  if (reminders.length === 0) {
+    const cache = await caches.open(REMINDER_CACHE);
+    await cache.delete(url);
+    return;
+  }
+  const { sent } = await readReminders(url);
+  const ids = new Set(reminders.map(r => r.id));
+  await writeReminders(url, { reminders, sent: sent.filter(id => ids.has(id)) });
+  await checkSchedule(url);
+}
+
+self.addEventListener("message", event => {
+  if (!event.data) return;
+  if (event.data.type === "reminders") {
+    event.waitUntil(queueReminders(() => replaceReminders(event.data.profileId, event.data.reminders)));
+  } else if (event.data.type === "check-reminders") {
+    event.waitUntil(queueReminders(checkReminders));
+  }
+});
+
+self.addEventListener("periodicsync", event => {
+  if (event.tag === "reminders") {
+    event.waitUntil(queueReminders(checkReminders));
+  }
+});
+
+self.addEventListener("notificationclick", event => {
+  event.notification.close();
+  event.waitUntil(
+    self.clients.matchAll({ type: "window", includeUncontrolled: true }).then(clients => {
+      if (clients.length > 0) return clients[0].focus();
+      return self.clients.openWindow("./");
     })
   );
-});
\ No newline at end of file
+});
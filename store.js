@@ -1,23 +1,928 @@
+import './version.js';
+import { isEncrypted, createVault, encryptText, openVault } from './vault.js';
+import { DEFAULT_ACTIVE_DAYS, DEFAULT_TARGET_STRATEGY, mergeExclusions } from './engine.js';
+
 const STORAGE_KEY = 'savings_tracker_data';
+export const DEFAULT_PROFILE_ID = 'default';
+const BACKUP_FORMAT = 'baonbuddy-backup';
+const BACKUP_VERSION = 1;
+// Older builds cannot decrypt, so they report these as made by a newer version
+const ENCRYPTED_BACKUP_VERSION = 2;
+
+// Set in version.js, which the service worker reads too
+export const SCHEMA_VERSION = globalThis.BAONBUDDY_RELEASE.schemaVersion;
+
+const PLAN_STATUSES = ['active', 'paused', 'completed', 'archived'];
+const POOL_MODES = ['priority', 'percentage'];
+const DATE_RE = /^\d{4}-\d{2}-\d{2}$/;
+const TIME_RE = /^\d{2}:\d{2}$/;
+const REMINDER_TIMES = ['allowanceTime', 'progressTime', 'quietStart', 'quietEnd'];
+
+function createDefaultReminders() {
+    return {
+        enabled: false,
+        allowanceTime: '07:00',
+        progressTime: '17:00',
+        closing: true,
+        quietStart: '22:00',
+        quietEnd: '06:00'
+    };
+}
+
+function createDefaultState() {
+    return {
+        schemaVersion: SCHEMA_VERSION,
+        tosAgreed: false,
+        plans: [],
+        history: [],
+        transactions: [],
+        schoolBreaks: [],
+        customCategories: [],
+        pool: { mode: 'priority' },
+        allocations: [],
+        reminders: createDefaultReminders(),
+        settings: {
+            timeZone: 'Asia/Manila',
+            currency: { code: 'PHP', symbol: '₱', decimals: 2 }
+        },
+        totalSavings: 0,
+        totalSpent: 0,
+        lastLoginDate: new Date().toLocaleDateString('en-CA')
+    };
+}
+
+// MIGRATIONS[n] upgrades a payload from schema version n to n + 1.
+// Payloads saved before versioning existed count as version 0.
+const MIGRATIONS = [
+    // 0 -> 1: fill in fields that older builds added on the fly
+    (data) => {
+        data.plans = Array.isArray(data.plans) ? data.plans : [];
+        data.history = Array.isArray(data.history) ? data.history : [];
+        data.totalSavings = data.totalSavings || 0;
+        data.totalSpent = data.totalSpent || 0;
+        data.plans.forEach(plan => {
+            plan.products = plan.products || [];
+            plan.exclusions = plan.exclusions || [];
+            plan.history = plan.history || [];
+            plan.totalSaved = plan.totalSaved || 0;
+            plan.totalSpent = plan.totalSpent || 0;
+            plan.penaltyDebt = plan.penaltyDebt || 0;
+        });
+        // Early builds stored the day as "Sun Oct 18 2026"
+        if (data.lastLoginDate && !DATE_RE.test(data.lastLoginDate)) {
+            const parsed = new Date(data.lastLoginDate);
+            data.lastLoginDate = isNaN(parsed) ? null : parsed.toLocaleDateString('en-CA');
+        }
+        return data;
+    },
+
+    // 1 -> 2: itemized purchase ledger replaces plan.dailySpent
+    (data) => {
+        data.transactions = Array.isArray(data.transactions) ? data.transactions : [];
+        data.plans.forEach(plan => {
+            if (plan.dayActive && plan.dailySpent > 0 && !data.transactions.some(t => t.planId === plan.id)) {
+                data.transactions.push({
+                    id: `${Date.now()}-${Math.random().toString(36).slice(2, 7)}`,
+                    planId: plan.id,
+                    date: data.lastLoginDate,
+                    timestamp: Date.now(),
+                    label: 'Earlier purchases',
+                    amount: plan.dailySpent,
+                    source: 'other'
+                });
+            }
+            delete plan.dailySpent;
+        });
+        return data;
+    },
+
+    // 2 -> 3: per-plan policy for days the app was never opened
+    (data) => {
+        data.plans.forEach(plan => {
+            plan.missedDayPolicy = plan.missedDayPolicy || 'none';
+            plan.missedDayPenalty = plan.missedDayPenalty || 0;
+        });
+        return data;
+    },
+
+    // 3 -> 4: working-week calendar per plan (Mon-Fri was hard-coded before)
+    (data) => {
+        data.plans.forEach(plan => {
+            plan.activeDays = Array.isArray(plan.activeDays) ? plan.activeDays : [1, 2, 3, 4, 5];
+        });
+        return data;
+    },
+
+    // 4 -> 5: opt-in holiday calendar with shared school breaks
+    (data) => {
+        data.schoolBreaks = Array.isArray(data.schoolBreaks) ? data.schoolBreaks : [];
+        data.plans.forEach(plan => {
+            plan.useHolidays = !!plan.useHolidays;
+        });
+        return data;
+    },
+
+    // 5 -> 6: timezone and currency used to be hard-coded to Manila and pesos
+    (data) => {
+        data.settings = data.settings || {
+            timeZone: 'Asia/Manila',
+            currency: { code: 'PHP', symbol: '₱', decimals: 2 }
+        };
+        return data;
+    },
+
+    // 6 -> 7: history is kept forever and keyed by ISO date
+    (data) => {
+        const toIso = (date) => {
+            if (DATE_RE.test(date)) return date;
+            const parsed = new Date(date);
+            return isNaN(parsed) ? null : parsed.toLocaleDateString('en-CA');
+        };
+        const byDate = new Map();
+        data.history.forEach(h => {
+            const date = toIso(h.date);
+            if (date) byDate.set(date, { ...h, date });
+        });
+        data.history = [...byDate.values()].sort((a, b) => a.date.localeCompare(b.date));
+        data.plans.forEach(plan => {
+            plan.history = plan.history
+                .map(h => ({ ...h, date: toIso(h.date) }))
+                .filter(h => h.date);
+        });
+        return data;
+    },
+
+    // 7 -> 8: spending categories and per-category budgets
+    (data) => {
+        data.customCategories = Array.isArray(data.customCategories) ? data.customCategories : [];
+        data.transactions.forEach(t => {
+            t.category = t.category || 'other';
+        });
+        data.plans.forEach(plan => {
+            plan.products.forEach(prod => {
+                prod.category = prod.category || 'other';
+            });
+            plan.categoryBudgets = plan.categoryBudgets || {};
+        });
+        return data;
+    },
+    // 8 -> 9: debt log and repayment options
+    (data) => {
+        data.plans.forEach(plan => {
+            if (!Array.isArray(plan.debtLog)) {
+                // Open the log with whatever debt was already carried so it adds up
+                plan.debtLog = plan.penaltyDebt > 0
+                    ? [{ date: data.lastLoginDate, type: 'incurred', amount: plan.penaltyDebt, note: 'Carried over' }]
+                    : [];
+            }
+            plan.autoRepayDebt = plan.autoRepayDebt === true;
+            plan.includeDebtInTarget = plan.includeDebtInTarget === true;
+            plan.dailyDebtShare = plan.dailyDebtShare || 0;
+        });
+        return data;
+    },
+    // 9 -> 10: shared allowance pool
+    (data) => {
+        data.pool = data.pool && typeof data.pool === 'object' ? data.pool : { mode: 'priority' };
+        data.allocations = Array.isArray(data.allocations) ? data.allocations : [];
+        data.plans.forEach((plan, idx) => {
+            plan.inPool = plan.inPool === true;
+            plan.poolPriority = plan.poolPriority || idx + 1;
+            plan.poolPercent = plan.poolPercent || 0;
+        });
+        return data;
+    },
+    // 10 -> 11: plan lifecycle status
+    (data) => {
+        data.plans.forEach(plan => {
+            // Plans that already met their goal are completed by the app on load
+            if (!PLAN_STATUSES.includes(plan.status)) plan.status = 'active';
+            plan.completedDate = plan.completedDate || null;
+        });
+        return data;
+    },
+    // 11 -> 12: recurring allowance per weekday
+    (data) => {
+        data.plans.forEach(plan => {
+            plan.allowanceSchedule = plan.allowanceSchedule && typeof plan.allowanceSchedule === 'object' ? plan.allowanceSchedule : {};
+        });
+        return data;
+    },
+    // 12 -> 13: reminder notifications
+    (data) => {
+        data.reminders = { ...createDefaultReminders(), ...(isPlainObject(data.reminders) ? data.reminders : {}) };
+        data.plans.forEach(plan => {
+            plan.remindersEnabled = plan.remindersEnabled !== false;
+        });
+        return data;
+    },
+    // 13 -> 14: selectable daily target strategies
+    (data) => {
+        data.plans.forEach(plan => {
+            plan.targetStrategy = { ...DEFAULT_TARGET_STRATEGY, ...(plan.targetStrategy || {}) };
+        });
+        return data;
+    }
+];
+
+function isPlainObject(value) {
+    return !!value && typeof value === 'object' && !Array.isArray(value);
+}
+
+// Migrations only run for older payloads, but a current-version backup can still
+// leave plan fields out, so every field the app reads is filled in after them.
+function fillPlanDefaults(plan, idx) {
+    ['products', 'exclusions', 'history', 'debtLog'].forEach(f => {
+        if (!Array.isArray(plan[f])) plan[f] = [];
+    });
+    // Older builds only merged overlapping ranges on screen
+    plan.exclusions = mergeExclusions(plan.exclusions);
+    ['goal', 'totalSaved', 'totalSpent', 'penaltyDebt', 'missedDayPenalty', 'dailyDebtShare', 'poolPercent'].forEach(f => {
+        if (!isNum(plan[f])) plan[f] = 0;
+    });
+    if (!Array.isArray(plan.activeDays) || plan.activeDays.length === 0) plan.activeDays = [...DEFAULT_ACTIVE_DAYS];
+    if (!isPlainObject(plan.categoryBudgets)) plan.categoryBudgets = {};
+    if (!isPlainObject(plan.allowanceSchedule)) plan.allowanceSchedule = {};
+    plan.targetStrategy = { ...DEFAULT_TARGET_STRATEGY, ...(isPlainObject(plan.targetStrategy) ? plan.targetStrategy : {}) };
+    plan.missedDayPolicy = plan.missedDayPolicy || 'none';
+    plan.status = PLAN_STATUSES.includes(plan.status) ? plan.status : 'active';
+    plan.completedDate = plan.completedDate || null;
+    plan.poolPriority = plan.poolPriority || idx + 1;
+    plan.useHolidays = plan.useHolidays === true;
+    plan.inPool = plan.inPool === true;
+    plan.autoRepayDebt = plan.autoRepayDebt === true;
+    plan.includeDebtInTarget = plan.includeDebtInTarget === true;
+    plan.remindersEnabled = plan.remindersEnabled !== false;
+}
+
+function migrate(data) {
+    // Only the first migrations create these, but backups of any version may leave them out
+    ['plans', 'history', 'transactions', 'schoolBreaks'].forEach(f => {
+        if (data[f] === undefined) data[f] = [];
+    });
+    // Same for the plan lists later migrations walk; debtLog is left to its own migration
+    data.plans.forEach(plan => {
+        ['products', 'exclusions', 'history'].forEach(f => {
+            if (plan && plan[f] === undefined) plan[f] = [];
+        });
+    });
+    let version = Number.isInteger(data.schemaVersion) ? data.schemaVersion : 0;
+    while (version < SCHEMA_VERSION) {
+        data = MIGRATIONS[version](data);
+        version++;
+    }
+    data.schemaVersion = version;
+    data.plans.forEach(fillPlanDefaults);
+    data.reminders = { ...createDefaultReminders(), ...(isPlainObject(data.reminders) ? data.reminders : {}) };
+    return { ...createDefaultState(), ...data };
+}
+
+function isNum(v) {
+    return typeof v === 'number' && Number.isFinite(v);
+}
+
+function checkOptionalNumbers(obj, fields, where) {
+    fields.forEach(f => {
+        if (obj[f] !== undefined && obj[f] !== null && !isNum(obj[f])) {
+            throw new Error(`${where}: "${f}" must be a number.`);
+        }
+    });
+}
+
+function validatePlan(plan, idx) {
+    const where = `Plan #${idx + 1}`;
+    if (!plan || typeof plan !== 'object') throw new Error(`${where} is not an object.`);
+    if (typeof plan.id !== 'string' || !plan.id) throw new Error(`${where} has no id.`);
+    if (typeof plan.name !== 'string') throw new Error(`${where} has no name.`);
+    if (!DATE_RE.test(plan.startDate || '')) throw new Error(`${where} has an invalid start date.`);
+    if (plan.endDate && !DATE_RE.test(plan.endDate)) throw new Error(`${where} has an invalid end date.`);
+    checkOptionalNumbers(plan, ['goal', 'totalSaved', 'totalSpent', 'penaltyDebt', 'dailyAllowance', 'dailySavingsGoal',
+        'poolPriority', 'poolPercent'], where);
+
+    if (plan.products !== undefined) {
+        if (!Array.isArray(plan.products)) throw new Error(`${where}: products must be a list.`);
+        plan.products.forEach(prod => {
+            if (!prod || typeof prod.name !== 'string' || !isNum(prod.price)) {
+                throw new Error(`${where} has an invalid product.`);
+            }
+        });
+    }
+    if (plan.exclusions !== undefined) {
+        if (!Array.isArray(plan.exclusions)) throw new Error(`${where}: exclusions must be a list.`);
+        plan.exclusions.forEach(ex => {
+            if (!ex || !DATE_RE.test(ex.start || '') || !DATE_RE.test(ex.end || '')) {
+                throw new Error(`${where} has an invalid exclusion period.`);
+            }
+        });
+    }
+    if (plan.history !== undefined) {
+        if (!Array.isArray(plan.history)) throw new Error(`${where}: history must be a list.`);
+        if (plan.history.some(h => !isPlainObject(h))) throw new Error(`${where} has an invalid history entry.`);
+    }
+    if (plan.activeDays !== undefined &&
+        (!Array.isArray(plan.activeDays) || plan.activeDays.some(d => !Number.isInteger(d) || d < 0 || d > 6))) {
+        throw new Error(`${where} has invalid active days.`);
+    }
+    ['targetStrategy', 'categoryBudgets', 'allowanceSchedule'].forEach(f => {
+        if (plan[f] !== undefined && !isPlainObject(plan[f])) throw new Error(`${where}: "${f}" must be an object.`);
+    });
+    if (plan.status !== undefined && !PLAN_STATUSES.includes(plan.status)) {
+        throw new Error(`${where} has an unknown status.`);
+    }
+    if (plan.debtLog !== undefined) {
+        if (!Array.isArray(plan.debtLog)) throw new Error(`${where}: debt log must be a list.`);
+        plan.debtLog.forEach(entry => {
+            if (!entry || !['incurred', 'repaid', 'forgiven'].includes(entry.type) || !isNum(entry.amount)) {
+                throw new Error(`${where} has an invalid debt log entry.`);
+            }
+        });
+    }
+}
+
+function validateState(data) {
+    if (!data || typeof data !== 'object' || Array.isArray(data)) throw new Error('Backup has no saved data.');
+    if (!Array.isArray(data.plans)) throw new Error('Backup has no plans list.');
+    data.plans.forEach(validatePlan);
+
+    const ids = new Set(data.plans.map(p => p.id));
+    if (ids.size !== data.plans.length) throw new Error('Backup contains duplicate plan ids.');
+
+    checkOptionalNumbers(data, ['totalSavings', 'totalSpent'], 'Backup');
+
+    if (data.transactions !== undefined) {
+        if (!Array.isArray(data.transactions)) throw new Error('Backup: transactions must be a list.');
+        data.transactions.forEach((t, i) => {
+            if (!t || typeof t.id !== 'string' || typeof t.planId !== 'string' ||
+                typeof t.label !== 'string' || !isNum(t.amount) || typeof t.date !== 'string') {
+                throw new Error(`Purchase #${i + 1} is invalid.`);
+            }
+        });
+    }
+    if (data.history !== undefined) {
+        if (!Array.isArray(data.history)) throw new Error('Backup: history must be a list.');
+        if (data.history.some(h => !isPlainObject(h))) throw new Error('Backup has an invalid history entry.');
+    }
+    if (data.settings !== undefined) {
+        const cur = data.settings && data.settings.currency;
+        if (!cur || typeof data.settings.timeZone !== 'string' || typeof cur.code !== 'string' ||
+            typeof cur.symbol !== 'string' || !Number.isInteger(cur.decimals)) {
+            throw new Error('Backup has invalid region settings.');
+        }
+        if (cur.decimals < 0 || cur.decimals > 3) throw new Error('Backup has invalid currency decimals.');
+        // Same checks as the settings screen, so dates and money always format
+        try {
+            new Intl.DateTimeFormat('en-CA', { timeZone: data.settings.timeZone });
+        } catch (e) {
+            throw new Error(`Backup has an unknown time zone "${data.settings.timeZone}".`);
+        }
+        try {
+            new Intl.NumberFormat(undefined, { style: 'currency', currency: cur.code });
+        } catch (e) {
+            throw new Error(`Backup has an invalid currency code "${cur.code}".`);
+        }
+    }
+    if (data.customCategories !== undefined) {
+        if (!Array.isArray(data.customCategories)) throw new Error('Backup: categories must be a list.');
+        data.customCategories.forEach((c, i) => {
+            if (!c || typeof c.id !== 'string' || typeof c.name !== 'string') {
+                throw new Error(`Category #${i + 1} is invalid.`);
+            }
+        });
+    }
+    if (data.reminders !== undefined) {
+        const r = data.reminders;
+        if (!isPlainObject(r) || ['enabled', 'closing'].some(f => r[f] !== undefined && typeof r[f] !== 'boolean') ||
+            REMINDER_TIMES.some(f => r[f] !== undefined && !TIME_RE.test(r[f]))) {
+            throw new Error('Backup has invalid reminder settings.');
+        }
+    }
+    if (data.pool !== undefined && (!isPlainObject(data.pool) || !POOL_MODES.includes(data.pool.mode))) {
+        throw new Error('Backup has invalid shared pool settings.');
+    }
+    if (data.allocations !== undefined) {
+        if (!Array.isArray(data.allocations)) throw new Error('Backup: allocations must be a list.');
+        data.allocations.forEach((a, i) => {
+            if (!a || !DATE_RE.test(a.date || '') || !isNum(a.total) || !Array.isArray(a.shares) ||
+                a.shares.some(s => !s || typeof s.planId !== 'string' || !isNum(s.allowance))) {
+                throw new Error(`Pool allocation #${i + 1} is invalid.`);
+            }
+        });
+    }
+    if (data.schoolBreaks !== undefined) {
+        if (!Array.isArray(data.schoolBreaks)) throw new Error('Backup: school breaks must be a list.');
+        data.schoolBreaks.forEach((b, i) => {
+            if (!b || typeof b.id !== 'string' || typeof b.name !== 'string' ||
+                !DATE_RE.test(b.start || '') || !DATE_RE.test(b.end || '')) {
+                throw new Error(`School break #${i + 1} is invalid.`);
+            }
+        });
+    }
+}
+
+// --- Storage backends ---
+// Both backends read the raw saved payload and write a full state object;
+// prepare() runs synchronously so the payload reflects the state at save time.
+// With encryption on, the payload is an encrypted envelope instead, see vault.js.
+
+const DB_NAME = 'baonbuddy';
+const DB_VERSION = 1;
+
+// The first profile keeps the original names so data saved before profiles stays put
+let profileId = DEFAULT_PROFILE_ID;
+
+function getDbName(id = profileId) {
+    return id === DEFAULT_PROFILE_ID ? DB_NAME : `${DB_NAME}-${id}`;
+}
+
+function getStorageKey(id = profileId) {
+    return id === DEFAULT_PROFILE_ID ? STORAGE_KEY : `${STORAGE_KEY}_${id}`;
+}
+
+// Object stores and their keys. Plan daily records live in "days" so that
+// closing a day adds one record instead of rewriting the whole plan.
+const KEY_PATHS = {
+    meta: 'key',
+    plans: 'id',
+    transactions: 'id',
+    days: 'key',
+    history: 'date'
+};
+const STORE_NAMES = Object.keys(KEY_PATHS);
+// Meta records holding data that could not be upgraded; saves never touch them
+const RECOVERY_KEY_PREFIX = 'corrupt-';
+
+function isRecoveryCopy(name, key) {
+    return name === 'meta' && String(key).startsWith(RECOVERY_KEY_PREFIX);
+}
+
+function splitState(data) {
+    const { plans, transactions, history, ...meta } = data;
+    const records = { meta: [{ ...meta, key: 'state' }], plans: [], transactions, days: [], history };
+    plans.forEach(plan => {
+        const { history: days, ...rest } = plan;
+        records.plans.push(rest);
+        days.forEach((entry, idx) => {
+            records.days.push({ ...entry, key: `${plan.id}:${idx}`, planId: plan.id, idx });
+        });
+    });
+    return records;
+}
+
+function joinState(records) {
+    // Encrypted data is a single opaque record; Store.load decrypts it
+    const vaultRecord = records.meta.find(r => r.key === 'vault');
+    if (vaultRecord) {
+        const { key, ...envelope } = vaultRecord;
+        return envelope;
+    }
+
+    const metaRecord = records.meta.find(r => r.key === 'state');
+    if (!metaRecord) return null;
+    const { key, ...meta } = metaRecord;
+
+    const daysByPlan = new Map();
+    records.days
+        .sort((a, b) => a.idx - b.idx)
+        .forEach(({ key: _key, planId, idx, ...entry }) => {
+            if (!daysByPlan.has(planId)) daysByPlan.set(planId, []);
+            daysByPlan.get(planId).push(entry);
+        });
+
+    return {
+        ...meta,
+        plans: records.plans.map(plan => ({ ...plan, history: daysByPlan.get(plan.id) || [] })),
+        transactions: records.transactions,
+        history: records.history.sort((a, b) => a.date.localeCompare(b.date))
+    };
+}
+
+function promisify(request) {
+    return new Promise((resolve, reject) => {
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+const indexedDbBackend = {
+    db: null,
+    // JSON of each record as last written, per store; null forces a full write
+    snapshot: null,
+
+    async open() {
+        const request = indexedDB.open(getDbName(), DB_VERSION);
+        request.onupgradeneeded = () => {
+            const db = request.result;
+            STORE_NAMES.forEach(name => {
+                if (db.objectStoreNames.contains(name)) return;
+                const store = db.createObjectStore(name, { keyPath: KEY_PATHS[name] });
+                if (name === 'transactions' || name === 'days') store.createIndex('planId', 'planId');
+            });
+        };
+        this.db = await promisify(request);
+        // Let go when another tab deletes this profile, or its delete would be blocked
+        this.db.onversionchange = () => this.db.close();
+    },
+
+    async read() {
+        const tx = this.db.transaction(STORE_NAMES, 'readonly');
+        const lists = await Promise.all(STORE_NAMES.map(name => promisify(tx.objectStore(name).getAll())));
+        const records = Object.fromEntries(STORE_NAMES.map((name, i) => [name, lists[i]]));
+
+        this.snapshot = Object.fromEntries(STORE_NAMES.map(name => [
+            name,
+            new Map(records[name].map(r => [r[KEY_PATHS[name]], JSON.stringify(r)]))
+        ]));
+        return joinState(records);
+    },
+
+    // Diffs against the last write so only changed records are touched
+    prepare(data) {
+        const records = splitState(data);
+        const changes = [];
+        const previous = this.snapshot || {};
+        this.snapshot = {};
+
+        STORE_NAMES.forEach(name => {
+            const before = previous[name] || new Map();
+            const after = new Map();
+            records[name].forEach(record => {
+                const key = record[KEY_PATHS[name]];
+                const json = JSON.stringify(record);
+                after.set(key, json);
+                if (before.get(key) !== json) changes.push({ name, put: record });
+            });
+            before.forEach((_json, key) => {
+                if (!after.has(key) && !isRecoveryCopy(name, key)) changes.push({ name, del: key });
+            });
+            this.snapshot[name] = after;
+        });
+        return changes;
+    },
+
+    // While encrypted, the state is one "vault" record in meta. The envelope is
+    // only known once encrypted, so seal() adds it just before the write.
+    prepareEncrypted() {
+        this.snapshot = Object.fromEntries(STORE_NAMES.map(name => [name, new Map()]));
+        this.snapshot.meta.set('vault', null);
+        // Cleared rather than diffed so no plain record is left behind
+        return STORE_NAMES.map(name => name === 'meta' ? { name, del: 'state' } : { name, clear: true });
+    },
+
+    seal(changes, envelope) {
+        return [...changes, { name: 'meta', put: { ...envelope, key: 'vault' } }];
+    },
+
+    // Stored next to the data, so a copy as large as the data itself still fits
+    async keepCopy(payload) {
+        await this.write([{ name: 'meta', put: { key: `${RECOVERY_KEY_PREFIX}${Date.now()}`, data: payload } }]);
+    },
+
+    async readCopies() {
+        const records = await promisify(this.db.transaction('meta', 'readonly').objectStore('meta').getAll());
+        return records.filter(r => isRecoveryCopy('meta', r.key)).map(r => ({ id: r.key, payload: r.data }));
+    },
+
+    async writeCopy(id, payload) {
+        await this.write([{ name: 'meta', put: { key: id, data: payload } }]);
+    },
+
+    async write(changes) {
+        if (changes.length === 0) return;
+        const tx = this.db.transaction(STORE_NAMES, 'readwrite');
+        changes.forEach(change => {
+            const store = tx.objectStore(change.name);
+            if (change.put) store.put(change.put);
+            else if (change.clear) store.clear();
+            else store.delete(change.del);
+        });
+        try {
+            await new Promise((resolve, reject) => {
+                tx.oncomplete = resolve;
+                tx.onerror = tx.onabort = () => reject(tx.error);
+            });
+        } catch (e) {
+            // Unknown what reached disk, so rewrite everything next time
+            this.snapshot = null;
+            throw e;
+        }
+    }
+};
+
+const localStorageBackend = {
+    async open() {},
+
+    async read() {
+        return readLocalStorage();
+    },
+
+    prepare(data) {
+        return JSON.stringify(data);
+    },
+
+    prepareEncrypted() {
+        return null;
+    },
+
+    seal(_payload, envelope) {
+        return JSON.stringify(envelope);
+    },
+
+    async keepCopy(payload) {
+        localStorage.setItem(`${getStorageKey()}_corrupt_${Date.now()}`, JSON.stringify(payload));
+    },
+
+    // Also holds the copies readLocalStorage() keeps when IndexedDB is in use
+    async readCopies() {
+        const prefix = `${getStorageKey()}_corrupt_`;
+        const ids = [];
+        for (let i = 0; i < localStorage.length; i++) {
+            if (localStorage.key(i).startsWith(prefix)) ids.push(localStorage.key(i));
+        }
+        return ids.map(id => {
+            const text = localStorage.getItem(id);
+            try {
+                return { id, payload: JSON.parse(text) };
+            } catch (e) {
+                return { id, payload: text };
+            }
+        });
+    },
+
+    async writeCopy(id, payload) {
+        localStorage.setItem(id, JSON.stringify(payload));
+    },
+
+    async write(json) {
+        localStorage.setItem(getStorageKey(), json);
+    }
+};
+
+// Reads the single-key payload used before IndexedDB (and as the fallback)
+function readLocalStorage() {
+    const data = localStorage.getItem(getStorageKey());
+    if (!data) return null;
+
+    try {
+        const parsed = JSON.parse(data);
+        if (!parsed || typeof parsed !== 'object' || Array.isArray(parsed)) {
+            throw new Error('Saved data is not an object');
+        }
+        return parsed;
+    } catch (e) {
+        try {
+            // Keep the unreadable payload aside so it can still be recovered by hand
+            localStorage.setItem(`${getStorageKey()}_corrupt_${Date.now()}`, data);
+        } catch (stashError) {
+            console.error('Could not keep a copy of unreadable data', stashError);
+            Store.unreadable = true;
+            return null;
+        }
+        localStorage.removeItem(getStorageKey());
+        Store.recovered = true;
+        return null;
+    }
+}
+
+async function openBackend() {
+    if (typeof indexedDB !== 'undefined') {
+        try {
+            await indexedDbBackend.open();
+            return indexedDbBackend;
+        } catch (e) {
+            // Private browsing and some embedded webviews refuse IndexedDB
+            console.warn('IndexedDB unavailable, using localStorage', e);
+        }
+    }
+    return localStorageBackend;
+}
+
+let backend = null;
+let writeQueue = Promise.resolve();
+// The key while encryption is on, plus an envelope to check passphrases against
+let vault = null;
+
+// Asks until the passphrase opens the envelope. askPassphrase(error) resolving
+// null gives up, and the next save replaces the encrypted data.
+async function unlock(envelope, askPassphrase) {
+    let error = null;
+    for (;;) {
+        const passphrase = await askPassphrase(error);
+        if (passphrase === null) return null;
+        try {
+            const opened = await openVault(passphrase, envelope);
+            vault = { ...opened.vault, check: envelope };
+            return opened.value;
+        } catch (e) {
+            error = e.message;
+        }
+    }
+}
+
+// Recovery copies kept before encryption was turned on are still plain text.
+// Copies that are already envelopes stay readable with the passphrase they were saved under.
+async function sealRecoveryCopies(current) {
+    const holders = backend === localStorageBackend ? [backend] : [backend, localStorageBackend];
+    for (const holder of holders) {
+        const copies = await holder.readCopies();
+        for (const copy of copies) {
+            if (isEncrypted(copy.payload)) continue;
+            const text = typeof copy.payload === 'string' ? copy.payload : JSON.stringify(copy.payload);
+            await holder.writeCopy(copy.id, await encryptText(current, text));
+        }
+    }
+}
+
+// Validates and migrates the data of a parsed backup
+function readBackupData(backup) {
+    validateState(backup.data);
+    if (backup.data.schemaVersion > SCHEMA_VERSION) throw new Error('This backup was made by a newer version of the app.');
+    try {
+        backup.data = migrate(backup.data);
+    } catch (e) {
+        console.error('Backup migration failed', e);
+        throw new Error('This backup is damaged and could not be upgraded to this version of the app.');
+    }
+    return backup;
+}
 
 export const Store = {
+    // Set when load() had to discard unreadable data after keeping a copy of it
+    recovered: false,
+    // Set when load() could neither read the data nor keep a copy; nothing is saved over it
+    unreadable: false,
+    // Set when load() found data from a newer build; it is never written back
+    newerData: false,
+
+    // Chooses whose data load() and save() use; call before load()
+    useProfile(id) {
+        profileId = id;
+    },
+
+    // Removes everything a profile saved; it must not be the one loaded
+    async deleteProfile(id) {
+        if (typeof indexedDB !== 'undefined') {
+            await new Promise((resolve, reject) => {
+                const request = indexedDB.deleteDatabase(getDbName(id));
+                request.onsuccess = () => resolve();
+                request.onerror = () => reject(request.error);
+                // A tab from an older build still holds it open
+                request.onblocked = () => reject(new Error('Profile data is still open in another tab'));
+            });
+        }
+        localStorage.removeItem(getStorageKey(id));
+    },
+
+    // Resolves once every save queued so far has finished, whether or not it succeeded
+    flush() {
+        return writeQueue;
+    },
+
+    // Resolves once this change is on disk; writes are applied in order
     save(data) {
-        localStorage.setItem(STORAGE_KEY, JSON.stringify(data));
+        if (this.newerData) return Promise.reject(new Error('Saved data is from a newer version of the app'));
+        if (this.unreadable) return Promise.reject(new Error('Saved data could not be read or copied'));
+        let job;
+        if (vault) {
+            // Serialized now, encrypted when its turn in the queue comes
+            const current = vault;
+            const text = JSON.stringify(data);
+            const payload = backend.prepareEncrypted();
+            job = writeQueue.then(async () => {
+                // The schema version stays readable for the service worker's update check
+                const envelope = await encryptText(current, text, { schemaVersion: data.schemaVersion });
+                return backend.write(backend.seal(payload, envelope));
+            });
+        } else {
+            const payload = backend.prepare(data);
+            job = writeQueue.then(() => backend.write(payload));
+        }
+        writeQueue = job.catch(() => {});
+        return job;
+    },
+
+    // askPassphrase(error) is called when the saved data is encrypted; see unlock()
+    async load(askPassphrase) {
+        backend = await openBackend();
+
+        let data = await backend.read();
+        let fromLegacy = false;
+        if (!data && backend === indexedDbBackend) {
+            // One-time move of the old localStorage payload
+            data = readLocalStorage();
+            fromLegacy = !!data;
+        }
+        if (!data) return createDefaultState();
+
+        const stored = data;
+        if (isEncrypted(data)) {
+            data = await unlock(data, askPassphrase);
+            if (!data) return createDefaultState();
+        }
+
+        // Data from a newer build is left untouched rather than downgraded
+        if (data.schemaVersion > SCHEMA_VERSION) {
+            this.newerData = true;
+            return data;
+        }
+
+        try {
+            data = migrate(data);
+        } catch (e) {
+            console.error('Saved data could not be upgraded', e);
+            try {
+                // Keep the unreadable payload aside so it can still be recovered by hand
+                await backend.keepCopy(stored);
+            } catch (stashError) {
+                console.error('Could not keep a copy of unreadable data', stashError);
+                this.unreadable = true;
+                return createDefaultState();
+            }
+            // The copy stands in for the old localStorage payload, which encryption would never cover
+            if (fromLegacy) localStorage.removeItem(getStorageKey());
+            this.recovered = true;
+            return createDefaultState();
+        }
+
+        if (fromLegacy) {
+            await this.save(data);
+            localStorage.removeItem(getStorageKey());
+        }
+        return data;
+    },
+
+    isEncrypted() {
+        return !!vault;
+    },
+
+    // Turns encryption on, or re-keys it under a new passphrase and salt, and rewrites everything
+    async enableEncryption(data, passphrase) {
+        const next = await createVault(passphrase);
+        next.check = await encryptText(next, 'true');
+        vault = next;
+        await this.save(data);
+        await sealRecoveryCopies(next);
+    },
+
+    async disableEncryption(data) {
+        vault = null;
+        return this.save(data);
+    },
+
+    // Throws with a readable message unless this is the passphrase in use
+    async verifyPassphrase(passphrase) {
+        try {
+            await openVault(passphrase, vault.check);
+        } catch (e) {
+            throw new Error('Wrong passphrase.');
+        }
     },
 
-    load() {
-        const data = localStorage.getItem(STORAGE_KEY);
-        const defaultState = {
-            tosAgreed: false,
-            plans: [],
-            totalSavings: 0,
-            totalSpent: 0,
-            lastLoginDate: new Date().toDateString()
+    // Wraps the whole state in a versioned envelope for download
+    createBackup(data) {
+        return {
+            format: BACKUP_FORMAT,
+            version: BACKUP_VERSION,
+            exportedAt: new Date().toISOString(),
+            data
         };
+    },
 
-        if (!data) return defaultState;
-        
-        const parsed = JSON.parse(data);
-        return { ...defaultState, ...parsed };
+    // Same envelope, with the state encrypted under the backup's own passphrase
+    async createEncryptedBackup(data, passphrase) {
+        const backupVault = await createVault(passphrase);
+        return {
+            format: BACKUP_FORMAT,
+            version: ENCRYPTED_BACKUP_VERSION,
+            exportedAt: new Date().toISOString(),
+            encrypted: await encryptText(backupVault, JSON.stringify(data))
+        };
+    },
+
+    // Parses and validates a backup file; throws an Error with a readable message.
+    // Encrypted backups come back with an "encrypted" envelope for decryptBackup().
+    parseBackup(text) {
+        let parsed;
+        try {
+            parsed = JSON.parse(text);
+        } catch (e) {
+            throw new Error('This file is not valid JSON.');
+        }
+
+        if (!parsed || parsed.format !== BACKUP_FORMAT) throw new Error('This is not a BaonBuddy backup file.');
+        if (!Number.isInteger(parsed.version) || parsed.version < 1) throw new Error('Backup version is missing.');
+        if (parsed.version > ENCRYPTED_BACKUP_VERSION) throw new Error('This backup was made by a newer version of the app.');
+
+        if (parsed.version === ENCRYPTED_BACKUP_VERSION) {
+            if (!isEncrypted(parsed.encrypted)) throw new Error('This encrypted backup is damaged.');
+            return parsed;
+        }
+        return readBackupData(parsed);
+    },
+
+    // Throws with a readable message on a wrong passphrase or invalid contents
+    async decryptBackup(backup, passphrase) {
+        const { value } = await openVault(passphrase, backup.encrypted);
+        const { encrypted, ...rest } = backup;
+        return readBackupData({ ...rest, data: value });
     }
-};
\ No newline at end of file
+};
@@ -0,0 +1,205 @@
+// Run with: npm test
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    DEFAULT_TARGET_STRATEGY,
+    zonedDateStr, mergeExclusions, removeExclusion, countCalculationDays, calculateRequiredDaily,
+    calculateProjectedEndDate, simulatePlan, settleDays
+} from '../engine.js';
+
+// 2026-10-19 is a Monday
+function makePlan(overrides = {}) {
+    return {
+        id: '1',
+        name: 'Bike',
+        startDate: '2026-10-01',
+        endDate: '2026-10-30',
+        useEndDate: true,
+        goal: 1000,
+        totalSaved: 0,
+        exclusions: [],
+        activeDays: [1, 2, 3, 4, 5],
+        useHolidays: false,
+        targetStrategy: { ...DEFAULT_TARGET_STRATEGY },
+        manualSavingsMode: false,
+        estimateMode: true,
+        penaltyMode: true,
+        missedDayPolicy: 'last-target',
+        penaltyDebt: 0,
+        includeDebtInTarget: false,
+        status: 'active',
+        history: [],
+        debtLog: [],
+        ...overrides
+    };
+}
+
+function makeState(plans, overrides = {}) {
+    return {
+        plans,
+        history: [],
+        transactions: [],
+        schoolBreaks: [],
+        totalSavings: 0,
+        lastLoginDate: '2026-10-16',
+        ...overrides
+    };
+}
+
+test('the injected clock decides the date in the configured zone', () => {
+    const now = new Date('2026-10-19T17:00:00Z');
+    assert.equal(zonedDateStr('Asia/Manila', now), '2026-10-20');
+    assert.equal(zonedDateStr('America/Los_Angeles', now), '2026-10-19');
+});
+
+test('weekends are not calculation days', () => {
+    assert.equal(countCalculationDays('2026-10-19', '2026-10-25'), 5);
+    assert.equal(countCalculationDays('2026-10-24', '2026-10-25'), 0);
+    assert.equal(countCalculationDays('2026-10-19', '2026-10-25', [], [0, 6]), 2);
+});
+
+test('overlapping exclusions are counted once', () => {
+    const exclusions = [
+        { start: '2026-10-20', end: '2026-10-22' },
+        { start: '2026-10-21', end: '2026-10-23' }
+    ];
+    assert.equal(countCalculationDays('2026-10-19', '2026-10-25', exclusions), 1);
+});
+
+test('mergeExclusions leaves its input untouched', () => {
+    const exclusions = [
+        { start: '2026-10-21', end: '2026-10-25' },
+        { start: '2026-10-20', end: '2026-10-22' }
+    ];
+    const merged = mergeExclusions(exclusions);
+    assert.deepEqual(merged, [{ start: '2026-10-20', end: '2026-10-25' }]);
+    assert.deepEqual(exclusions[1], { start: '2026-10-20', end: '2026-10-22' });
+    assert.notEqual(merged[0], exclusions[1]);
+});
+
+test('a removed exclusion can be put back and removed again after a redraw', () => {
+    const plan = makePlan({ exclusions: mergeExclusions([{ start: '2026-10-19', end: '2026-10-20' }, { start: '2026-10-26', end: '2026-10-27' }]) });
+    const removed = plan.exclusions[0];
+
+    assert.equal(removeExclusion(plan.exclusions, removed), true);
+    plan.exclusions.splice(0, 0, removed); // undo
+    // Redrawing must not swap in copies, and copies must still be found
+    plan.exclusions = plan.exclusions.map(ex => ({ ...ex }));
+    assert.equal(removeExclusion(plan.exclusions, removed), true); // redo
+    assert.deepEqual(plan.exclusions, [{ start: '2026-10-26', end: '2026-10-27' }]);
+    assert.equal(removeExclusion(plan.exclusions, removed), false);
+});
+
+test('the target spreads what is left over the remaining days', () => {
+    // 10 weekdays from Mon 19 to Fri 30
+    const plan = makePlan({ goal: 1000, totalSaved: 500 });
+    assert.equal(calculateRequiredDaily(plan, 100, '2026-10-19'), 50);
+    assert.equal(calculateRequiredDaily(plan, 30, '2026-10-19'), 30, 'capped at the allowance');
+});
+
+test('excluded days have no target', () => {
+    const plan = makePlan({ exclusions: [{ start: '2026-10-19', end: '2026-10-19' }] });
+    assert.equal(calculateRequiredDaily(plan, 100, '2026-10-19'), 0);
+});
+
+test('the 20% rule boosts small targets on a big enough allowance', () => {
+    const plan = makePlan({ goal: 200 });
+    assert.equal(calculateRequiredDaily(plan, 100, '2026-10-19'), 40);
+    assert.equal(calculateRequiredDaily(plan, 79, '2026-10-19'), 20, 'allowance below 80');
+    assert.equal(calculateRequiredDaily({ ...plan, manualSavingsMode: true }, 100, '2026-10-19'), 20);
+    assert.equal(calculateRequiredDaily({ ...plan, goal: 600 }, 100, '2026-10-19'), 60, 'target already 50 or more');
+});
+
+test('indefinite plans save a share of the allowance', () => {
+    const plan = makePlan({ useEndDate: false, endDate: null });
+    assert.equal(calculateRequiredDaily(plan, 100, '2026-10-19'), 50);
+
+    plan.targetStrategy.indefinitePercent = 30;
+    assert.equal(calculateRequiredDaily(plan, 100, '2026-10-19'), 30);
+
+    const manual = makePlan({ useEndDate: false, endDate: null, manualSavingsMode: true, dailySavingsGoal: 42 });
+    assert.equal(calculateRequiredDaily(manual, 100, '2026-10-19'), 42);
+});
+
+test('the last day asks for everything left, and nothing after the end', () => {
+    const plan = makePlan({ goal: 1000, totalSaved: 900 });
+    assert.equal(calculateRequiredDaily(plan, 150, '2026-10-30'), 100);
+    assert.equal(calculateRequiredDaily(plan, 60, '2026-10-30'), 60);
+    assert.equal(calculateRequiredDaily(plan, 60, '2026-10-31'), 0);
+
+    // Ending on a weekend leaves no calculation days, so the whole allowance is asked for
+    const weekendEnd = makePlan({ endDate: '2026-10-31' });
+    assert.equal(calculateRequiredDaily(weekendEnd, 70, '2026-10-31'), 70);
+});
+
+test('projected end dates skip weekends and exclusions', () => {
+    const plan = makePlan({ goal: 100, dailySavingsGoal: 25 });
+    assert.equal(calculateProjectedEndDate(plan, '2026-10-23'), '2026-10-29');
+
+    plan.exclusions = [{ start: '2026-10-27', end: '2026-10-27' }];
+    assert.equal(calculateProjectedEndDate(plan, '2026-10-23'), '2026-10-30');
+
+    assert.equal(calculateProjectedEndDate({ ...plan, totalSaved: 100 }, '2026-10-23'), 'Goal Met!');
+    assert.equal(calculateProjectedEndDate({ ...plan, dailySavingsGoal: 0 }, '2026-10-23'), null);
+});
+
+test('the simulation counts days down to the same targets as a full recount', () => {
+    const plan = makePlan({ goal: 3000, exclusions: [{ start: '2026-10-21', end: '2026-10-22' }] });
+    const points = simulatePlan(plan, 400, '2026-10-19');
+    let saved = 0;
+    points.forEach(point => {
+        assert.equal(point.target, calculateRequiredDaily({ ...plan, totalSaved: saved }, 400, point.date), point.date);
+        saved = point.saved;
+    });
+    assert.deepEqual(points.map(p => p.date).slice(0, 3), ['2026-10-19', '2026-10-20', '2026-10-23']);
+});
+
+test('a multi-day rollover closes the open day and records the missed ones', () => {
+    const plan = makePlan({ dayActive: true, dailyAllowance: 100, dailySavingsGoal: 40 });
+    const state = makeState([plan], {
+        transactions: [{ planId: '1', date: '2026-10-16', amount: 30 }]
+    });
+
+    // Fri 16 was left open; Sat 17 to Mon 19 were never opened
+    const settled = settleDays(state, '2026-10-20');
+    assert.equal(settled.lastDay, '2026-10-16');
+    assert.equal(settled.missedDays, 3);
+    assert.deepEqual(settled.summary, [{ name: 'Bike', closed: true, missed: 3, penalty: 40 }]);
+
+    assert.equal(plan.totalSaved, 70);
+    assert.equal(state.totalSavings, 70);
+    assert.equal(plan.dayActive, false);
+    // Only Monday was a calculation day, so only it adds the last target as debt
+    assert.equal(plan.penaltyDebt, 40);
+    assert.deepEqual(plan.history.map(h => h.type), ['day', 'missed', 'missed', 'missed']);
+    assert.deepEqual(state.history.map(h => h.date), ['2026-10-16', '2026-10-17', '2026-10-18', '2026-10-19']);
+    assert.equal(state.lastLoginDate, '2026-10-20');
+
+    assert.equal(settleDays(state, '2026-10-20'), null, 'already settled');
+    assert.equal(settleDays(state, '2026-10-19'), null, 'clock moved back');
+});
+
+test('paused plans have no target and take no debt', () => {
+    const plan = makePlan({ status: 'paused', dayActive: true, dailyAllowance: 100, dailySavingsGoal: 40 });
+    assert.equal(calculateRequiredDaily(plan, 100, '2026-10-19'), 0);
+
+    const state = makeState([plan], {
+        transactions: [{ planId: '1', date: '2026-10-16', amount: 120 }]
+    });
+    settleDays(state, '2026-10-17');
+    assert.equal(plan.totalSaved, -20);
+    assert.equal(plan.penaltyDebt, 0);
+    assert.equal(plan.history[0].target, 0);
+});
+
+test('closing a day below target adds the shortfall as debt', () => {
+    const plan = makePlan({ dayActive: true, dailyAllowance: 100, dailySavingsGoal: 40 });
+    const state = makeState([plan], {
+        transactions: [{ planId: '1', date: '2026-10-16', amount: 80 }]
+    });
+
+    settleDays(state, '2026-10-17');
+    assert.equal(plan.totalSaved, 20);
+    assert.equal(plan.penaltyDebt, 20);
+    assert.deepEqual(plan.debtLog, [{ date: '2026-10-16', type: 'incurred', amount: 20, note: 'Missed daily target' }]);
+});
@@ -0,0 +1,9 @@
+// Run with: npm test
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import '../version.js';
+import { computeBuild } from '../scripts/stamp-version.js';
+
+test('version.js is stamped with the current app shell', () => {
+    assert.equal(globalThis.BAONBUDDY_RELEASE.build, computeBuild(), 'App files changed: run npm run stamp');
+});
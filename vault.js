@@ -0,0 +1,87 @@
+// Passphrase encryption for saved data and backups. The AES-GCM key is derived
+// from the passphrase with PBKDF2 and only ever kept in memory; an envelope
+// carries everything needed to decrypt it except the passphrase itself.
+
+export const ENCRYPTED_FORMAT = 'baonbuddy-encrypted';
+const ENVELOPE_VERSION = 1;
+const KDF_ITERATIONS = 250000;
+
+export const MIN_PASSPHRASE_LENGTH = 8;
+
+// Chunked so large payloads stay under the engine's argument limit
+export function toBase64(bytes) {
+    const view = new Uint8Array(bytes);
+    let binary = '';
+    for (let i = 0; i < view.length; i += 0x8000) {
+        binary += String.fromCharCode(...view.subarray(i, i + 0x8000));
+    }
+    return btoa(binary);
+}
+
+export function fromBase64(text) {
+    return Uint8Array.from(atob(text), ch => ch.charCodeAt(0));
+}
+
+async function deriveKey(passphrase, salt, iterations) {
+    const material = await crypto.subtle.importKey('raw', new TextEncoder().encode(passphrase), 'PBKDF2', false, ['deriveKey']);
+    return crypto.subtle.deriveKey(
+        { name: 'PBKDF2', hash: 'SHA-256', salt, iterations },
+        material,
+        { name: 'AES-GCM', length: 256 },
+        false,
+        ['encrypt', 'decrypt']
+    );
+}
+
+export function isEncrypted(value) {
+    return !!value && value.format === ENCRYPTED_FORMAT;
+}
+
+// A new key under a fresh salt; used when encryption is turned on or re-keyed
+export async function createVault(passphrase) {
+    const salt = crypto.getRandomValues(new Uint8Array(16));
+    return {
+        key: await deriveKey(passphrase, salt, KDF_ITERATIONS),
+        salt: toBase64(salt),
+        iterations: KDF_ITERATIONS
+    };
+}
+
+// Encrypts an already serialized JSON string; extra fields stay readable
+export async function encryptText(vault, text, extra = {}) {
+    const iv = crypto.getRandomValues(new Uint8Array(12));
+    const data = await crypto.subtle.encrypt({ name: 'AES-GCM', iv }, vault.key, new TextEncoder().encode(text));
+    return {
+        format: ENCRYPTED_FORMAT,
+        version: ENVELOPE_VERSION,
+        ...extra,
+        salt: vault.salt,
+        iterations: vault.iterations,
+        iv: toBase64(iv),
+        data: toBase64(data)
+    };
+}
+
+export async function decryptJson(vault, envelope) {
+    let plain;
+    try {
+        plain = await crypto.subtle.decrypt({ name: 'AES-GCM', iv: fromBase64(envelope.iv) }, vault.key, fromBase64(envelope.data));
+    } catch (e) {
+        // AES-GCM cannot tell a wrong key from damaged data
+        throw new Error('Wrong passphrase, or the data is damaged.');
+    }
+    return JSON.parse(new TextDecoder().decode(plain));
+}
+
+// Rebuilds the key from the envelope's salt and decrypts it; throws on a wrong passphrase
+export async function openVault(passphrase, envelope) {
+    if (!isEncrypted(envelope)) throw new Error('This is not encrypted BaonBuddy data.');
+    if (envelope.version > ENVELOPE_VERSION) throw new Error('This data was encrypted by a newer version of the app.');
+
+    const vault = {
+        key: await deriveKey(passphrase, fromBase64(envelope.salt), envelope.iterations),
+        salt: envelope.salt,
+        iterations: envelope.iterations
+    };
+    return { vault, value: await decryptJson(vault, envelope) };
+}
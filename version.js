@@ -0,0 +1,8 @@
+// Release info shared by the page (imported by store.js) and the service worker
+// (importScripts). A plain script without exports so both can load it.
+globalThis.BAONBUDDY_RELEASE = {
+    // Newest saved-data schema this release reads; bump together with a new entry in MIGRATIONS
+    schemaVersion: 14,
+    // Hash of the app shell written by `npm run stamp`; a new build means a new worker and cache
+    build: '80c02e23349f'
+};